@@ -0,0 +1,104 @@
+/**
+ * @package node-sftp
+ * @license http://github.com/ajaxorg/node-sftp/blob/master/LICENSE MIT License
+ */
+
+/**
+ * @class Error reported by the sftp command line client
+ * @extends Error
+ *
+ * @property {String} code    ENOENT, EACCES, EEXIST, ENOTEMPTY, ENOTDIR, EDQUOT,
+ *                            ENOSPC, ENOTSUP, EBADMSG, ETIMEDOUT, ECONNRESET or
+ *                            EFAILURE, ABORT_ERR when the command was cancelled
+ *                            by its AbortSignal, EINTEGRITY when a transferred
+ *                            file fails verification, EHOSTKEY, EPASSPHRASE or
+ *                            ENOAGENT when connecting fails due to the host key,
+ *                            the private key passphrase or a missing ssh-agent.
+ *                            A failing jump host is reported with EACCES,
+ *                            ECONNREFUSED, ETIMEDOUT, ENOTFOUND or EFAILURE and
+ *                            has 'host' and 'hop' set
+ * @property {String} command sftp command that failed, e.g. 'put'
+ * @property {String} path    remote path the command operated on
+ * @property {Array}  lines   raw output lines of the command
+ *
+ * @param {String} message
+ * @param {String} code
+ * @param {String} [command]
+ * @param {String} [path]
+ * @param {Array}  [lines]
+ * @type  {SftpError}
+ */
+function SftpError(message, code, command, path, lines) {
+  Error.call(this);
+  if (Error.captureStackTrace)
+    Error.captureStackTrace(this, SftpError);
+
+  this.name = "SftpError";
+  this.message = message;
+  this.code = code;
+  this.command = command;
+  this.path = path;
+  this.lines = lines || [];
+}
+
+require("util").inherits(SftpError, Error);
+
+/**
+ * Output lines of the sftp client that report a failure
+ * @constant
+ */
+SftpError.LINE = /^(The operation was aborted|Couldn't |Can't |Cannot |remote |dest |local |\w+ (local|remote) |File ".*" not found|Invalid command|Connection (lost|closed|timed out)|No connection)/;
+
+/**
+ * Map of error codes to the messages they are detected by, in order of
+ * precedence. Whatever is not recognized is reported as EFAILURE.
+ * @constant
+ */
+SftpError.CODES = [
+  ["ABORT_ERR", /^The operation was aborted/],
+  ["ENOENT", /No such file|not found/i],
+  ["EACCES", /Permission denied/i],
+  ["EEXIST", /File exists|already exists/i],
+  ["ENOTEMPTY", /not empty/i],
+  ["ENOTDIR", /not a directory/i],
+  ["EDQUOT", /quota/i],
+  ["ENOSPC", /No space left/i],
+  ["ENOTSUP", /unsupported|not supported/i],
+  ["EBADMSG", /Bad message/i],
+  ["ETIMEDOUT", /timed out/i],
+  ["ECONNRESET", /Connection (lost|closed)|No connection/i]
+];
+
+/**
+ * Detect an error reply in the output lines of an sftp command.
+ *
+ * @param {Array}  lines
+ * @param {String} [cmd]  the command line that was sent, its echo is ignored
+ * @param {String} [path]
+ * @type  {SftpError} or null when the output does not contain an error
+ */
+SftpError.fromLines = function(lines, cmd, path) {
+  var echo = (cmd || "").trim(),
+    line = null;
+
+  lines.some(function(l) {
+    l = l.trim();
+    if (l && l != echo && SftpError.LINE.test(l))
+      line = l;
+    return !!line;
+  });
+  if (!line)
+    return null;
+
+  var code = "EFAILURE";
+  SftpError.CODES.some(function(def) {
+    if (!def[1].test(line))
+      return false;
+    code = def[0];
+    return true;
+  });
+
+  return new SftpError(line, code, echo.split(" ")[0] || undefined, path, lines);
+};
+
+module.exports = SftpError;
@@ -0,0 +1,121 @@
+/**
+ * @package node-sftp
+ * @license http://github.com/ajaxorg/node-sftp/blob/master/LICENSE MIT License
+ */
+
+
+/**
+ * A line of 'ls -l' output: the permissions, optionally followed by an ACL
+ * '+', SELinux '.' or extended attributes '@' marker, the link count, owner,
+ * group, the size or 'major, minor' of a device, the modification time and
+ * the name, which is separated by a single space and kept as is.
+ * @constant
+ */
+var LINE = /^\s*([-?dlbcps][-rwxsStT]{9})[+.@]?\s+(\d+)\s+(\S+)\s+(\S+)\s+(\d+|\d+,\s*\d+)\s+(\w{3}\s+\d{1,2}\s+(?:\d{1,2}:\d{2}|\d{4})|\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}) (.*)$/;
+
+// file type bits of a mode, by the first character of a listing
+var TYPES = {"-": 0100000, "d": 0040000, "l": 0120000, "b": 0060000,
+  "c": 0020000, "p": 0010000, "s": 0140000};
+
+var MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep",
+  "oct", "nov", "dec"];
+
+
+/**
+ * Transform the output lines of 'ls -l' into an object for each filesystem
+ * node. The '.' and '..' entries and lines that are no listing, like the
+ * echo of the command, are left out. Symbolic links have their target set
+ * when the server includes it in the listing, devices have a size of 0.
+ *
+ * @param {Array} lines
+ * @type  {Array} of {permissions, hard_links, owner, group, size, last_modified, path, target}
+ */
+exports.parse = function(lines) {
+  var res = [];
+
+  lines.forEach(function(line) {
+    var match = line && line.match(LINE);
+    if (!match)
+      return;
+
+    var path = match[7],
+      target = null,
+      arrow = path.indexOf(" -> ");
+
+    if (match[1].charAt(0) == "l" && arrow > -1) {
+      target = path.slice(arrow + 4);
+      path = path.slice(0, arrow);
+    }
+    if (/(^|\/)\.{1,2}$/.test(path))
+      return;
+
+    res.push({
+      permissions: match[1],
+      hard_links: match[2],
+      owner: match[3],
+      group: match[4],
+      size: match[5].indexOf(",") > -1 ? 0 : parseInt(match[5], 10),
+      last_modified: match[6],
+      path: path,
+      target: target
+    });
+  });
+  return res;
+};
+
+/**
+ * Get the numeric mode, including the file type, from the permissions column
+ * of a listing.
+ * Example: 'drwxr-xr-x' --> 040755 or '-rwsr-x--T' --> 0105750
+ *
+ * @param {String} rwx
+ * @type  {Number}
+ */
+exports.mode = function(rwx) {
+  var mode = TYPES[rwx.charAt(0)] || 0;
+
+  for (var i = 0; i < 9; ++i) {
+    var c = rwx.charAt(i + 1),
+      bit = 1 << (8 - i);
+
+    if (c == "r" || c == "w" || c == "x" || c == "s" || c == "t")
+      mode |= bit;
+    // the execute column also shows setuid, setgid and the sticky bit
+    if (i % 3 == 2 && /[sStT]/.test(c))
+      mode |= 04000 >> Math.floor(i / 3);
+  }
+  return mode;
+};
+
+/**
+ * Get the date from the modification time column of a listing, which is in
+ * local time. Recent entries show the time instead of the year, as they are
+ * not older than half a year, they are in the current year unless that would
+ * be in the future.
+ * Example: 'Jan 12 10:31', 'Jan 12 2019' or '2019-01-12 10:31'
+ *
+ * @param {String} text
+ * @param {Date}   [now]
+ * @type  {Date}   an invalid Date when the format is unknown
+ */
+exports.date = function(text, now) {
+  var m;
+  text = text || "";
+
+  if (m = text.match(/^(\d{4})-(\d{2})-(\d{2})\s+(\d{2}):(\d{2})$/))
+    return new Date(+m[1], m[2] - 1, +m[3], +m[4], +m[5]);
+
+  m = text.match(/^(\w{3})\s+(\d{1,2})\s+(?:(\d{1,2}):(\d{2})|(\d{4}))$/);
+  var month = m ? MONTHS.indexOf(m[1].toLowerCase()) : -1;
+  if (month == -1)
+    return new Date(NaN);
+  if (m[5])
+    return new Date(+m[5], month, +m[2]);
+
+  now = now || new Date();
+  var date = new Date(now.getFullYear(), month, +m[2], +m[3], +m[4]);
+  // allow for the clocks of client and server to differ
+  if (date.getTime() > now.getTime() + 86400000)
+    date.setFullYear(date.getFullYear() - 1);
+  return date;
+};
@@ -0,0 +1,589 @@
+/**
+ * @package node-sftp
+ * @license http://github.com/ajaxorg/node-sftp/blob/master/LICENSE MIT License
+ */
+
+var Stream = require("stream");
+var Util = require("./util");
+var Sftp = require("./sftp");
+var SftpError = require("./error");
+
+/**
+ * @class Pool of Sftp sessions to the same host. A single session runs one
+ * command at a time, the pool dispatches every call to a free session, so
+ * that independent calls run in parallel:
+ * <pre class="code">
+ * var pool = new SftpPool({host: "example.com", username: "john"}, {max: 8});
+ * Promise.all(files.map(function(file) {
+ *   return pool.uploadFile(file, "uploads/" + Path.basename(file));
+ * }));
+ * </pre>
+ * The pool offers the methods of {@link Sftp}, with the same signatures.
+ * 'walk' holds on to a session until the walk ends.
+ * 'cd' changes the working directory of all sessions. Sessions are connected
+ * on demand, closed when they were idle for too long and checked with 'pwd'
+ * before they are used again. Sessions that lose their connection are
+ * discarded and replaced.
+ *
+ * @param {Object}   options                         connection options of every session, see {@link Sftp}
+ * @param {Object}   [poolOptions]
+ * @param {Number}   [poolOptions.min=0]             sessions that are kept open even when idle
+ * @param {Number}   [poolOptions.max=4]             sessions that are opened at most
+ * @param {Number}   [poolOptions.idleTimeout=30000] close sessions beyond min after being idle for this many ms
+ * @param {Number}   [poolOptions.healthCheckInterval=10000] check a session with 'pwd' before it is used when it
+ *                                                   was idle for this many ms
+ * @type  {SftpPool}
+ */
+function SftpPool(options, poolOptions) {
+  this.options = Util.extend({}, options || {}, {autoconnect: true});
+  this.poolOptions = Util.extend({
+    min: 0,
+    max: 4,
+    idleTimeout: 30000,
+    healthCheckInterval: 10000
+  }, poolOptions || {});
+
+  this.$sessions = [];
+  this.$waiting = [];
+  this.$creating = 0;
+  this.$cwd = null;
+  this.$closed = false;
+
+  // error? the next call tries again
+  this.connect(function() {});
+}
+
+/**
+ * Methods of {@link Sftp} that are dispatched to a free session.
+ * @constant
+ */
+SftpPool.METHODS = ["chmod", "chown", "symlink", "mkdir", "mkdirp", "pwd",
+  "readdir", "readFile", "rename", "rmdir", "stat", "unlink", "writeFile",
+  "uploadFile", "downloadFile", "uploadDir", "downloadDir", "rmrf",
+  "syncPlan", "sync", "batch", "glob"];
+
+/** @lends SftpPool */
+(function() {
+  var K = function() {};
+
+  /**
+   * Connect sessions until there are poolOptions.min of them. Other sessions
+   * are connected on demand.
+   *
+   * @param {Function} callback invoked once the sessions are connected
+   * @type  {void}
+   */
+  this.connect = function(callback) {
+    if (this.$closed)
+      return callback(closedError());
+
+    var missing = [],
+      _self = this;
+    for (var i = this.$sessions.length + this.$creating; i < this.poolOptions.min; i++)
+      missing.push(i);
+
+    Util.eachLimit(missing, missing.length, function(i, next) {
+      createSession.call(_self, function(err, entry) {
+        // hand it to a waiting call, or let that call try for itself
+        if (entry)
+          release.call(_self, entry);
+        else if (_self.$waiting.length)
+          acquire.call(_self, _self.$waiting.shift());
+        next(err);
+      });
+    }, function(err) {
+      callback(err);
+    });
+  };
+
+  /**
+   * Change the working directory of all sessions. The path is resolved by
+   * one session, the others change to the same absolute path before they
+   * run their next command.
+   *
+   * @param {String}   path
+   * @param {Object}   [options]
+   * @param {Object}   [options.signal] AbortSignal to cancel the command
+   * @param {Function} callback
+   * @type  {void}
+   */
+  this.cd = function(path, options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
+    }
+    var _self = this;
+
+    acquire.call(this, function(err, entry) {
+      if (err) return callback(err);
+
+      entry.sftp.cd(path, options, function(err) {
+        if (err) {
+          release.call(_self, entry);
+          return callback(err);
+        }
+
+        entry.sftp.pwd(options, function(err, cwd) {
+          if (!err)
+            _self.$cwd = entry.cwd = cwd;
+          release.call(_self, entry);
+          callback(err);
+        });
+      });
+    });
+  };
+
+  /**
+   * Readable stream of a remote file, see {@link Sftp#createReadStream}. The
+   * session is returned to the pool once the file has been read or the
+   * stream was destroyed.
+   *
+   * @param {String} path
+   * @param {Object} [options]
+   * @type  {stream.Readable}
+   */
+  this.createReadStream = function(path, options) {
+    var stream = new Stream.PassThrough(),
+      entry = null,
+      file = null,
+      _self = this;
+
+    if (options && options.encoding)
+      stream.setEncoding(options.encoding);
+
+    function done() {
+      entry && release.call(_self, entry);
+      entry = null;
+    }
+
+    stream.on("close", function() {
+      file && file.destroy();
+      done();
+    });
+
+    acquire.call(this, function(err, e) {
+      if (err) return stream.destroyed || stream.emit("error", err);
+
+      entry = e;
+      if (stream.destroyed)
+        return done();
+
+      file = entry.sftp.createReadStream(path, options);
+      file.on("progress", function(percent) {
+        stream.emit("progress", percent);
+      });
+      file.on("error", function(err) {
+        done();
+        stream.emit("error", err);
+      });
+      file.on("end", done);
+      file.pipe(stream);
+    });
+
+    return stream;
+  };
+
+  /**
+   * Writable stream to a remote file, see {@link Sftp#createWriteStream}.
+   * A session is taken from the pool with the first write and returned once
+   * the upload finished or the stream was destroyed.
+   *
+   * @param {String} path
+   * @param {Object} [options]
+   * @type  {stream.Writable}
+   */
+  this.createWriteStream = function(path, options) {
+    var entry = null,
+      file = null,
+      waiting = null,
+      _self = this;
+
+    function done() {
+      entry && release.call(_self, entry);
+      entry = null;
+    }
+
+    function withFile(callback) {
+      if (file || waiting)
+        return file ? callback(null, file) : waiting.push(callback);
+
+      waiting = [callback];
+      acquire.call(_self, function(err, e) {
+        if (!err && stream.destroyed) {
+          err = new Error("Cannot write after the stream was destroyed");
+          release.call(_self, e);
+        }
+        else if (!err) {
+          entry = e;
+          file = entry.sftp.createWriteStream(path, options);
+          file.on("progress", function(percent) {
+            stream.emit("progress", percent);
+          });
+        }
+        var callbacks = waiting;
+        waiting = null;
+        callbacks.forEach(function(cb) {
+          cb(err, file);
+        });
+      });
+    }
+
+    var stream = new Stream.Writable({
+      write: function(chunk, encoding, callback) {
+        withFile(function(err, file) {
+          if (err) return callback(err);
+          file.write(chunk, encoding, callback);
+        });
+      },
+      final: function(callback) {
+        withFile(function(err, file) {
+          if (err) return callback(err);
+
+          file.on("finish", function() {
+            done();
+            callback();
+          });
+          file.on("error", function(err) {
+            done();
+            callback(err);
+          });
+          file.end();
+        });
+      },
+      destroy: function(err, callback) {
+        // an upload that did not finish is dropped
+        entry && file.destroy();
+        done();
+        callback(err);
+      }
+    });
+
+    return stream;
+  };
+
+  /**
+   * Recursively walk a remote directory, see {@link Sftp#walk}. A session is
+   * taken from the pool with the first call of next() and returned once the
+   * walk is done, failed or ended with return().
+   *
+   * @param {String} root
+   * @param {Object} [options]
+   * @type  {AsyncIterator}
+   */
+  this.walk = function(root, options) {
+    var walker = null,
+      entry = null,
+      waiting = null,
+      ended = false,
+      _self = this;
+
+    function withWalker(callback) {
+      if (ended || walker || waiting)
+        return walker || ended ? callback(null, walker) : waiting.push(callback);
+
+      waiting = [callback];
+      acquire.call(_self, function(err, e) {
+        if (!err) {
+          entry = e;
+          walker = entry.sftp.walk(root, options);
+        }
+        // return() was called in the meantime
+        if (ended)
+          end();
+        var callbacks = waiting;
+        waiting = null;
+        callbacks.forEach(function(cb) {
+          cb(err, walker);
+        });
+      });
+    }
+
+    function end() {
+      ended = true;
+      walker && walker["return"]();
+      walker = null;
+      if (entry)
+        release.call(_self, entry);
+      entry = null;
+    }
+
+    var iterator = {
+      next: function() {
+        return new Promise(function(resolve, reject) {
+          withWalker(function(err, walker) {
+            if (err) return reject(err);
+            if (!walker) return resolve({value: undefined, done: true});
+
+            walker.next().then(function(step) {
+              if (step.done)
+                end();
+              resolve(step);
+            }, function(err) {
+              end();
+              reject(err);
+            });
+          });
+        });
+      },
+      "return": function() {
+        end();
+        return Promise.resolve({value: undefined, done: true});
+      }
+    };
+    iterator[Symbol.asyncIterator] = function() {
+      return this;
+    };
+    return iterator;
+  };
+
+  /**
+   * Close all sessions. Calls that are waiting for a session fail.
+   *
+   * @param {Function} callback
+   * @type  {void}
+   */
+  this.disconnect = function(callback) {
+    var sessions = this.$sessions.splice(0, this.$sessions.length),
+      waiting = this.$waiting.splice(0, this.$waiting.length);
+
+    this.$closed = true;
+    clearTimeout(this.$evictTimer);
+    waiting.forEach(function(cb) {
+      cb(closedError());
+    });
+
+    Util.eachLimit(sessions, sessions.length, function(entry, next) {
+      entry.discarded = true;
+      entry.sftp.disconnect(function() {
+        // error? we don't care here...
+        next();
+      });
+    }, function() {
+      callback();
+    });
+  };
+
+  SftpPool.METHODS.forEach(function(name) {
+    this[name] = function() {
+      var args = Array.prototype.slice.call(arguments),
+        callback = typeof args[args.length - 1] == "function" ? args.pop() : null;
+
+      dispatch.call(this, name, args, callback);
+    };
+  }, this);
+
+  /**
+   * Run a method of Sftp on a free session.
+   *
+   * @param {String}   name
+   * @param {Array}    args     arguments without the callback
+   * @param {Function} callback
+   * @type  {void}
+   * @private
+   */
+  function dispatch(name, args, callback) {
+    var _self = this;
+
+    acquire.call(this, function(err, entry) {
+      if (err) return callback(err);
+
+      entry.sftp[name].apply(entry.sftp, args.concat(function(err, result) {
+        release.call(_self, entry);
+        callback(err, result);
+      }));
+    });
+  }
+
+  /**
+   * Get a free session, connect a new one if none is free and the pool is not
+   * full yet, or wait for one to be released.
+   *
+   * @param {Function} callback (err, entry)
+   * @type  {void}
+   * @private
+   */
+  function acquire(callback) {
+    if (this.$closed)
+      return callback(closedError());
+
+    var entry = this.$sessions.filter(function(entry) {
+        return !entry.busy;
+      })[0],
+      _self = this;
+
+    if (entry)
+      return checkout.call(this, entry, callback);
+    if (this.$sessions.length + this.$creating >= this.poolOptions.max)
+      return this.$waiting.push(callback);
+
+    createSession.call(this, function(err, entry) {
+      if (err) return callback(err);
+      checkout.call(_self, entry, callback);
+    });
+  }
+
+  /**
+   * Hand out a session. It is checked with 'pwd' first if it was idle for a
+   * while, and changed to the working directory of the pool.
+   *
+   * @param {Object}   entry
+   * @param {Function} callback (err, entry)
+   * @type  {void}
+   * @private
+   */
+  function checkout(entry, callback) {
+    var interval = this.poolOptions.healthCheckInterval,
+      _self = this;
+
+    entry.busy = true;
+    if (interval && Date.now() - entry.lastUsed >= interval) {
+      return entry.sftp.pwd(function(err) {
+        if (!err)
+          return syncCwd();
+
+        // try another session
+        discard.call(_self, entry);
+        acquire.call(_self, callback);
+      });
+    }
+    syncCwd();
+
+    function syncCwd() {
+      var cwd = _self.$cwd;
+      if (!cwd || entry.cwd == cwd)
+        return callback(null, entry);
+
+      entry.sftp.cd(cwd, function(err) {
+        if (err) {
+          release.call(_self, entry);
+          return callback(err);
+        }
+        entry.cwd = cwd;
+        callback(null, entry);
+      });
+    }
+  }
+
+  /**
+   * Return a session to the pool and hand it to the next waiting call.
+   *
+   * @param {Object} entry
+   * @type  {void}
+   * @private
+   */
+  function release(entry) {
+    entry.busy = false;
+    entry.lastUsed = Date.now();
+    if (entry.discarded)
+      return;
+
+    if (this.$waiting.length)
+      return acquire.call(this, this.$waiting.shift());
+    scheduleEviction.call(this);
+  }
+
+  /**
+   * Connect a new session.
+   *
+   * @param {Function} callback (err, entry)
+   * @type  {void}
+   * @private
+   */
+  function createSession(callback) {
+    var _self = this;
+
+    this.$creating++;
+    var sftp = new Sftp(this.options, function(err) {
+      _self.$creating--;
+      if (err)
+        return callback(typeof err == "string" ? new Error(err) : err);
+
+      var entry = {sftp: sftp, busy: false, lastUsed: Date.now(), cwd: null};
+      // a session that lost its connection is replaced
+      sftp.on("disconnect", function() {
+        discard.call(_self, entry);
+      });
+      if (_self.$closed) {
+        entry.discarded = true;
+        sftp.disconnect(K);
+        return callback(closedError());
+      }
+      _self.$sessions.push(entry);
+      callback(null, entry);
+    });
+  }
+
+  /**
+   * Remove a session from the pool and close it, then make up for it if
+   * needed.
+   *
+   * @param {Object} entry
+   * @type  {void}
+   * @private
+   */
+  function discard(entry) {
+    if (entry.discarded)
+      return;
+    entry.discarded = true;
+
+    var index = this.$sessions.indexOf(entry);
+    if (index > -1)
+      this.$sessions.splice(index, 1);
+    entry.sftp.disconnect(K);
+
+    if (this.$waiting.length)
+      acquire.call(this, this.$waiting.shift());
+    // error? the next call tries again
+    this.connect(K);
+  }
+
+  /**
+   * Close the sessions beyond poolOptions.min that were idle for
+   * poolOptions.idleTimeout.
+   *
+   * @type  {void}
+   * @private
+   */
+  function scheduleEviction() {
+    var timeout = this.poolOptions.idleTimeout,
+      _self = this;
+
+    if (!timeout || this.$evictTimer)
+      return;
+
+    this.$evictTimer = setTimeout(function() {
+      _self.$evictTimer = null;
+
+      var now = Date.now(),
+        idle = _self.$sessions.filter(function(entry) {
+          return !entry.busy;
+        }),
+        excess = _self.$sessions.length - _self.poolOptions.min;
+
+      idle.forEach(function(entry) {
+        if (excess > 0 && now - entry.lastUsed >= timeout) {
+          excess--;
+          discard.call(_self, entry);
+        }
+      });
+      // check the rest later
+      if (idle.length && _self.$sessions.length > _self.poolOptions.min)
+        scheduleEviction.call(_self);
+    }, timeout);
+  }
+
+  function closedError() {
+    return new SftpError("The pool is disconnected", "ECONNRESET");
+  }
+
+  // every public method returns a Promise when it is called without a callback
+  SftpPool.METHODS.concat(["connect", "cd", "disconnect"]).forEach(function(name) {
+    this[name] = Util.promisify(this[name]);
+  }, this);
+  this.fstat = this.lstat = this.stat;
+  this.fastPut = this.uploadFile;
+  this.fastGet = this.downloadFile;
+
+}).call(SftpPool.prototype);
+
+module.exports = SftpPool;
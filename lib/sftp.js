@@ -8,8 +8,11 @@
 var Fs = require("fs");
 var Events = require("events");
 var Path = require('path');
+var Stream = require("stream");
 var Util = require("./util");
 var Ssh = require("./ssh");
+var SftpError = require("./error");
+var Listing = require("./listing");
 var pty = require("pty.js");
 
 /**
@@ -27,12 +30,48 @@ var pty = require("pty.js");
  *                                              to a remote server. Structure:
  * @param {String}   options.username           Username on remote host.
  * @param {String}   [options.password]         Password on remote host, not required if private key is provided.
- * @param {String}   [options.password_prompt]  Password prompt when using password authentication
+ * @param {String,RegExp} [options.password_prompt] Password prompt when using password authentication.
+ *                                              Default: any prompt line that ends with 'password:'
+ * @param {Function} [options.keyboardInteractive] Answers keyboard-interactive prompts, e.g. a verification
+ *                                              code, invoked with (prompt, callback(answer)).
  * @param {String}   [options.privateKey]       Private key for username, not required if password is provided.
+ *                                              Either the path to a key file or the key itself, in any format ssh accepts.
+ * @param {String}   [options.passphrase]       Passphrase of the private key.
+ * @param {String,Boolean} [options.agent]      Authenticate with the keys of ssh-agent, listening on the given
+ *                                              socket path or on SSH_AUTH_SOCK if true.
+ * @param {Boolean}  [options.agentForward=false] Forward the agent connection.
+ * @param {String,Array} [options.knownHosts]   Path to a known_hosts file or inline known_hosts entries.
+ *                                              Only hosts listed there are accepted.
+ * @param {String}   [options.hostFingerprint]  SHA256 fingerprint the host key must have, e.g. 'SHA256:nThbg6kX...'
+ * @param {Function} [options.hostVerifier]     Decides whether an unknown host key is accepted,
+ *                                              invoked with (fingerprint, host), returns a Boolean.
+ *                                              Without any of the three options host keys are checked against
+ *                                              ~/.ssh/known_hosts and unknown hosts are rejected.
+ * @param {Boolean}  [options.acceptAnyHostKey=false] Do not check host keys at all, which allows for
+ *                                              man-in-the-middle attacks. Only meant for test servers.
+ * @param {Array}    [options.jumpHosts]        Jump hosts to tunnel the connection through, in order. Each is an
+ *                                              Object {host, port, username, privateKey} and may have its own
+ *                                              knownHosts, hostFingerprint, hostVerifier or acceptAnyHostKey.
  * @param {String}   [options.host="localhost"] Hostname or IP to connect to. Default: 'localhost'
  * @param {Number}   [options.port=22]          SSH Port number. Default: 22
- * @param {Number}   [options.timeout=10000]    Inactivity timeout in milliseconds. Default: 10000ms
+ * @param {Number}   [options.timeout=0]        Inactivity timeout in milliseconds, off by default.
+ *                                              A command that produces no output for this long fails with
+ *                                              ETIMEDOUT, as do the commands queued behind it, and the session
+ *                                              is closed. Transfers accept their own timeout option.
+ *                                              Also used as ssh ConnectTimeout.
+ * @param {Number}   [options.keepaliveInterval] Send ssh keepalives after this many milliseconds of silence
+ *                                              from the server (ServerAliveInterval).
+ * @param {Number}   [options.keepaliveCountMax=3] Unanswered keepalives before the connection is considered lost.
+ * @param {Number}   [options.idleTimeout]      Close the session after this many milliseconds without commands.
+ *                                              The next command connects again, in the same working directory,
+ *                                              which is not reported with 'reconnecting' or 'reconnect' events.
  * @param {Boolean}  [options.autoconnect=true] Connect on instantiation. Default: true
+ * @param {Boolean,Object} [options.reconnect]  Reconnect as soon as the connection is lost, true for the
+ *                                              default policy or {attempts, delay, maxDelay, factor, jitter}
+ *                                              with the delay growing by factor after each failed attempt
+ *                                              and reduced by up to jitter (0..1) at random.
+ *                                              See Sftp.RECONNECT. Without it the connection is restored
+ *                                              by a single attempt when the next command is executed.
  * @param {String}   [options.exec]             Command to be executed right after a connection is established.
  * @param {Function} [cbconnect]                callback to invoke right after a connection is established.
  * @param {Boolean}  [options.debug=false]      enables -vvv debug flag. Default: false
@@ -44,9 +83,9 @@ function Sftp(options, cbconnect) {
   this.options = Util.extend({
     host: "localhost",
     port: 22,
-    timeout: 10000,
+    timeout: 0,
     autoconnect: true,
-    password_prompt: 'Password:'
+    password_prompt: /password[^\r\n]*:\s*$/i
   }, options || {});
 
   // initialize state variables
@@ -61,26 +100,29 @@ function Sftp(options, cbconnect) {
   var o = this.options,
     _self = this;
 
-  // plaintext private key needs to be written to file first
-  if (o.privateKey && o.privateKey.match("BEGIN [R|D]SA PRIVATE KEY")) {
-    var _self = this;
-
-    Ssh.writeKeyFile(o.privateKey, function(err, file) {
-      if (err)
-        return cbconnect(err);
-      o.privateKey = file;
-      _self.$privateKeyTemp = file;
-      afterInit();
+  // jump hosts are copied, as their credentials may be replaced below
+  o.jumpHosts = (o.jumpHosts || []).map(function(hop) {
+    return Util.extend({}, hop);
+  });
+
+  // plaintext private keys and inline known_hosts entries need to be written
+  // to file first, for the target host as well as for every jump host
+  this.$tempFiles = [];
+  Util.eachLimit([o].concat(o.jumpHosts), 1, function(conf, next) {
+    Ssh.writeCredentials(conf, function(err, files) {
+      _self.$tempFiles = _self.$tempFiles.concat(files);
+      next(err);
     });
-  }
-  else {
+  }, function(err) {
+    if (err)
+      return cbconnect(err);
     afterInit();
-  }
+  });
 
   function afterInit() {
     _self.state = Sftp.STATE_DISCONNECTED;
     _self.emit("ready");
-    cbconnect = cbconnect || o.callback || K;
+    cbconnect = cbconnect || o.callback || function() {};
 
     if (o.exec) {
       var args = o.exec.split(" "),
@@ -102,6 +144,11 @@ function Sftp(options, cbconnect) {
   }
 }
 
+/**
+ * @see SftpError
+ */
+Sftp.SftpError = SftpError;
+
 /**
  * @constant
  */
@@ -115,6 +162,49 @@ Sftp.STATE_CONNECTING = 0x0002;
  */
 Sftp.STATE_DISCONNECTED = 0x0004;
 
+/**
+ * Commands that are run again after reconnecting when the connection was lost
+ * while they were running, as running them twice has the same effect as
+ * running them once. Other commands fail with ECONNRESET instead.
+ * @constant
+ */
+Sftp.IDEMPOTENT = ["help", "cd", "pwd", "ls", "chmod", "chown", "readFile",
+  "createReadStream", "downloadFile", "writeFile", "createWriteStream",
+  "uploadFile", "uploadDir", "verify"];
+
+/**
+ * Default policy for options.reconnect
+ * @constant
+ */
+Sftp.RECONNECT = {
+  attempts: 5,
+  delay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: 0.2
+};
+
+/**
+ * Create an Sftp instance and connect it to the remote host. This is the
+ * Promise based counterpart of passing cbconnect to the constructor.
+ * Example:
+ * <pre class="code">
+ * var sftp = await Sftp.connect({host: "example.com", username: "john"});
+ * </pre>
+ *
+ * @param {Object} options see {@link Sftp}
+ * @type  {Promise} resolves with the Sftp instance once the 'help' handshake finished
+ */
+Sftp.connect = function(options) {
+  return new Promise(function(resolve, reject) {
+    var sftp = new Sftp(Util.extend({}, options || {}, {autoconnect: true}), function(err) {
+      if (err)
+        return reject(typeof err == "string" ? new Error(err) : err);
+      resolve(sftp);
+    });
+  });
+};
+
 /**
  * @name Sftp.connect
  * @event
@@ -130,6 +220,24 @@ Sftp.STATE_DISCONNECTED = 0x0004;
  * @event
  */
 
+/**
+ * @name Sftp.reconnecting
+ * @event
+ * @param {Object} e {attempt, delay} before each attempt to restore a lost connection
+ */
+
+/**
+ * @name Sftp.reconnect
+ * @event
+ * @param {Object} e {attempts} when the connection and working directory were restored
+ */
+
+/**
+ * @name Sftp.reconnect_failed
+ * @event
+ * @param {Error} e error of the last attempt, the queued commands fail with ECONNRESET
+ */
+
 /**
  * @name Sftp.data
  * @event
@@ -148,6 +256,9 @@ require("util").inherits(Sftp, Events.EventEmitter);
 
   var K = function() {};
 
+  // output line of a command that was cancelled by its AbortSignal
+  var ABORTED = "The operation was aborted";
+
   /**
    * Setup an Sftp connection to a remote host
    *
@@ -167,16 +278,35 @@ require("util").inherits(Sftp, Events.EventEmitter);
       return;
     }
 
+    var o = this.options;
+
+    if (o.agent === true && !process.env.SSH_AUTH_SOCK) {
+      cbconnect && cbconnect(new SftpError("ssh-agent is not available, SSH_AUTH_SOCK is not set", "ENOAGENT"));
+      return;
+    }
+
     this.state = Sftp.STATE_CONNECTING;
+    this.$connectBuffer = "";
 
-    var o = this.options,
-      args = [
+    var args = [
         "-o", "Port=" + o.port
       ],
       _self = this;
 
     if (o.debug) args.push('-vvv');
-    if (o.privateKey) args = args.concat(Ssh.buildArgs(o.privateKey));
+    if (o.timeout)
+      args.push("-o", "ConnectTimeout=" + Math.ceil(o.timeout / 1000));
+    if (o.keepaliveInterval) {
+      args.push(
+        "-o", "ServerAliveInterval=" + Math.ceil(o.keepaliveInterval / 1000),
+        "-o", "ServerAliveCountMax=" + (o.keepaliveCountMax || 3)
+      );
+    }
+    if (o.privateKey || o.password != null || o.keyboardInteractive || o.agent
+      || o.knownHosts || o.hostFingerprint || o.hostVerifier || o.acceptAnyHostKey || o.passphrase != null)
+      args = args.concat(Ssh.buildArgs(o.privateKey, null, o));
+    if (o.jumpHosts.length)
+      args.push("-o", "ProxyCommand=" + Ssh.buildProxyCommand(o.jumpHosts));
 
     args.push(
       // first we push the correct hostname (appended with the path, if supplied)
@@ -189,12 +319,15 @@ require("util").inherits(Sftp, Events.EventEmitter);
 
     // push the connection string as argument:
     //        console.log("launching: sftp " + args.join(" "));
-    var ps = pty.spawn("sftp", args);
+    var ps = pty.spawn("sftp", args, {env: Ssh.buildEnv(o)});
 
     this.socket = ps;
     this.child = ps.process;
 
     this.socket.on("data", function(data) {
+      // output of a connection that was lost already
+      if (_self.socket !== ps)
+        return;
       // CASE: if state set to disconnected dont parse data, just quit
       if (_self.state & Sftp.STATE_DISCONNECTED)
         _self.socket.destroy();
@@ -203,10 +336,20 @@ require("util").inherits(Sftp, Events.EventEmitter);
     });
 
     this.socket.on("end", function(code) {
+      if (_self.socket !== ps)
+        return;
+      if (_self.state & Sftp.STATE_CONNECTED)
+        return connectionLost.call(_self, code);
+
       _self.emit("disconnect", code);
       _self.state = Sftp.STATE_DISCONNECTED;
-      if (_self.$privateKeyTemp)
-        Fs.unlink(_self.$privateKeyTemp);
+      if (_self.callbacks["connect"]) {
+        _self.callbacks["connect"](new Error("Connection closed"));
+        delete _self.callbacks["connect"];
+      }
+      // the key files are needed to reconnect
+      if (!_self.$lost)
+        removeTempFiles.call(_self, K);
     });
 
     this.callbacks["connect"] = function(err) {
@@ -228,17 +371,157 @@ require("util").inherits(Sftp, Events.EventEmitter);
       }, K);
     };
 
-    // New function to try and handle a password prompt when using
-    // username/password SFTP connection
-    this.callbacks["password_prompt"] = function() {
+    // answer password and keyboard-interactive prompts while connecting. The
+    // answer is written straight to the terminal, it is not an sftp command.
+    this.callbacks["password_prompt"] = function(prompt, isPassword) {
+      if (isPassword && o.password != null)
+        return answer(o.password);
 
-      var password = _self.options.password;
-      send.call(_self, "enter password", password, function(lines) {
-        _self.state = Sftp.STATE_CONNECTED;
-      }, K);
+      o.keyboardInteractive(prompt, answer);
+    };
+
+    // answer the passphrase prompt once, ssh only asks again if it was wrong
+    var passphraseSent = false;
+    this.callbacks["passphrase_prompt"] = function() {
+      if (o.passphrase != null && !passphraseSent) {
+        passphraseSent = true;
+        return answer(o.passphrase);
+      }
+
+      _self.callbacks["connect"](new SftpError(passphraseSent
+        ? "Wrong passphrase for private key"
+        : "Private key is protected by a passphrase", "EPASSPHRASE"));
+      delete _self.callbacks["connect"];
+      // ssh keeps prompting otherwise
+      _self.socket.destroy();
+    };
+
+    // accept or reject a host key that is not in the known_hosts file, by the
+    // settings of the jump host it belongs to or those of the target host.
+    // Without a pinned fingerprint or a verifier nobody checked it
+    this.callbacks["hostkey_prompt"] = function(key) {
+      var conf = o.jumpHosts[key.hop] || o,
+        ok = !!key.fingerprint && !!(conf.hostFingerprint || conf.hostVerifier);
+      if (ok && conf.hostFingerprint)
+        ok = key.fingerprint.replace(/^SHA256:/, "") == conf.hostFingerprint.replace(/^SHA256:/, "");
+      if (ok && conf.hostVerifier)
+        ok = !!conf.hostVerifier(key.fingerprint, conf.host);
+      answer(ok ? "yes" : "no");
+    };
+
+    function answer(text) {
+      if (_self.state & Sftp.STATE_CONNECTING)
+        _self.socket.write(text + "\r");
     }
   };
 
+  /**
+   * Remove the temporary private key and known_hosts files, if any.
+   *
+   * @param {Function} callback
+   * @type  {void}
+   * @private
+   */
+  function removeTempFiles(callback) {
+    var files = this.$tempFiles;
+    Util.eachLimit(files, files.length, function(file, next) {
+      // error? we don't care here...
+      Fs.unlink(file, function() {
+        next();
+      });
+    }, callback);
+  }
+
+  /**
+   * Extract the host key the server presented from the output of ssh, which
+   * is printed when the key is unknown or has changed. With jump hosts the
+   * output may concern several hosts, the last one mentioned is the one that
+   * is being connected to.
+   *
+   * @param {String} output
+   * @type  {Object} {fingerprint, type, host, hop}, hop being the index of
+   *                 the jump host or undefined for the target host
+   * @private
+   */
+  function presentedHostKey(output) {
+    var re = /(?:authenticity of host '|host key is known for |Host key for )([^\s'(]+)/g,
+      mentions = [],
+      m;
+    while ((m = re.exec(output)))
+      mentions.push({host: m[1], end: re.lastIndex});
+
+    // skip the output about hosts that were connected to before
+    var host = mentions.length ? mentions[mentions.length - 1].host : null,
+      start = 0;
+    mentions.forEach(function(mention) {
+      if (mention.host != host)
+        start = mention.end;
+    });
+    output = output.slice(start);
+
+    var fingerprint = output.match(/(SHA256:[A-Za-z0-9+\/=]+|MD5(?::[0-9a-f]{2}){16})/),
+      type = output.match(/(\S+) key fingerprint is/) || output.match(/for the (\S+) key sent by the remote host/),
+      hop = jumpHostIndex.call(this, host);
+
+    return {
+      fingerprint: fingerprint ? fingerprint[1] : null,
+      type: type ? type[1] : null,
+      host: hop > -1 ? this.options.jumpHosts[hop].host : this.options.host,
+      hop: hop > -1 ? hop : undefined
+    };
+  }
+
+  /**
+   * Find the jump host with the given host name, as printed by ssh.
+   *
+   * @param {String} host e.g. 'bastion' or '[bastion]:2222'
+   * @type  {Number} index of the jump host or -1
+   * @private
+   */
+  function jumpHostIndex(host) {
+    host = (host || "").replace(/^\[([^\]]+)\](:\d+)?$/, "$1");
+
+    var hops = this.options.jumpHosts;
+    for (var i = hops.length - 1; i >= 0; i--) {
+      if (hops[i].host == host)
+        return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Detect a connection error in the output of ssh that concerns one of the
+   * jump hosts rather than the target host.
+   *
+   * @param {String} output
+   * @type  {SftpError} with the jump host as 'host' and its index as 'hop',
+   *                    or null
+   * @private
+   */
+  function jumpHostError(output) {
+    var m = output.match(/@(\S+): Permission denied/)
+      || output.match(/connect to host (\S+) port \d+: ([^\r\n]+)/)
+      || output.match(/Could not resolve hostname (\S+): ([^\r\n]+)/);
+    if (!m)
+      return null;
+
+    var hop = jumpHostIndex.call(this, m[1]);
+    if (hop == -1)
+      return null;
+
+    var reason = m[2] || "Permission denied",
+      code = /Permission denied/.test(reason) ? "EACCES"
+        : /refused/i.test(reason) ? "ECONNREFUSED"
+        : /timed out/i.test(reason) ? "ETIMEDOUT"
+        : /Could not resolve/.test(m[0]) ? "ENOTFOUND"
+        : "EFAILURE",
+      err = new SftpError("Jump host " + m[1] + ": " + reason.replace(/\.$/, ""),
+        code, null, null, output.split(/[\n\r]+/));
+    err.host = this.options.jumpHosts[hop].host;
+    err.hop = hop;
+    return err;
+  }
+
   /**
    * Parse the output of a 'help' or '?' command and fetch the command options
    * that are supported by the remote server.
@@ -277,19 +560,29 @@ require("util").inherits(Sftp, Events.EventEmitter);
    * @type  {void}
    */
   this.disconnect = function(cbdisconn) {
-    if (this.state & Sftp.STATE_DISCONNECTED)
-      return cbdisconn && cbdisconn();
     var _self = this;
+    if (this.state & Sftp.STATE_DISCONNECTED) {
+      if (!this.$lost && !this.$idle)
+        return cbdisconn && cbdisconn();
+
+      // the connection was lost or closed for being idle before, stop restoring it
+      if (this.$reconnect)
+        clearTimeout(this.$reconnect.timer);
+      this.$reconnect = null;
+      this.$lost = false;
+      this.$idle = false;
+      failQueue.call(this, "No connection");
+      return removeTempFiles.call(this, function() {
+        cbdisconn && cbdisconn();
+      });
+    }
+
     this.exec("bye", "bye", function(lines) {
-      _self.state = Sftp.STATE_DISCONNECTED;
-      _self.emit("disconnect");
-      _self.child && _self.child.kill && _self.child.kill();
-      _self.child = null;
-      _self.socket && _self.socket.destroy();
-      if (_self.$privateKeyTemp)
-        Fs.unlink(_self.$privateKeyTemp, cbdisconn);
-      else
+      _self.$lost = false;
+      terminate.call(_self);
+      removeTempFiles.call(_self, function() {
         cbdisconn && cbdisconn();
+      });
     });
   };
 
@@ -297,13 +590,25 @@ require("util").inherits(Sftp, Events.EventEmitter);
    * Change directory
    *
    * @param {String}   path
+   * @param {Object}   [options]
+   * @param {Object}   [options.signal] AbortSignal to cancel the command
    * @param {Function} cbcd
    * @type  {void}
    */
-  this.cd = function(path, cbcd) {
-    this.exec("cd", "cd " + (path || ""), function(lines) {
-      cbcd(isError(lines));
-    });
+  this.cd = function(path, options, cbcd) {
+    if (typeof options == "function") {
+      cbcd = options;
+      options = null;
+    }
+    var cmd = "cd" + (path ? " " + quote(path) : ""),
+      _self = this;
+    this.exec("cd", cmd, function(lines) {
+      var err = isError(lines, cmd, path);
+      // remember the working directory, to restore it after reconnecting
+      if (!err)
+        _self.$cwd = !path ? null : path.charAt(0) == "/" || !_self.$cwd ? path : Path.join(_self.$cwd, path);
+      cbcd(err);
+    }, null, options);
   };
 
   /**
@@ -312,15 +617,23 @@ require("util").inherits(Sftp, Events.EventEmitter);
    *
    * @param {String}       path
    * @param {String,octal} mode
+   * @param {Object}       [options]
+   * @param {Object}       [options.signal] AbortSignal to cancel the command
+   * @param {Boolean}      [options.glob=false] expand the wildcards in path
    * @param {Function}     callback
    * @type  {void}
    */
-  this.chmod = function(path, mode, callback) {
+  this.chmod = function(path, mode, options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
+    }
     if (typeof mode == "number")
       mode = mode.toString(8);
-    this.exec("chmod", "chmod " + mode + " " + (path || ""), function(lines) {
-      callback(isError(lines));
-    });
+    var cmd = "chmod " + mode + " " + quote(path || "", options && options.glob);
+    this.exec("chmod", cmd, function(lines) {
+      callback(isError(lines, cmd, path));
+    }, null, options);
   };
 
   /**
@@ -329,13 +642,21 @@ require("util").inherits(Sftp, Events.EventEmitter);
    *
    * @param {String}   path
    * @param {String}   own
-   * @param {Function} callback
+   * @param {Object}   [options]
+   * @param {Object}   [options.signal] AbortSignal to cancel the command
+   * @param {Boolean}  [options.glob=false] expand the wildcards in path
+   * @param {Function} cbchown
    * @type  {void}
    */
-  this.chown = function(path, own, cbchgrp) {
-    this.exec("chown", "chown " + own + " " + (path || ""), function(lines) {
-      cbchown(isError(lines));
-    });
+  this.chown = function(path, own, options, cbchown) {
+    if (typeof options == "function") {
+      cbchown = options;
+      options = null;
+    }
+    var cmd = "chown " + quote(own) + " " + quote(path || "", options && options.glob);
+    this.exec("chown", cmd, function(lines) {
+      cbchown(isError(lines, cmd, path));
+    }, null, options);
   };
 
   /**
@@ -344,49 +665,74 @@ require("util").inherits(Sftp, Events.EventEmitter);
    *
    * @param {String}   linkdata
    * @param {String}   path
+   * @param {Object}   [options]
+   * @param {Object}   [options.signal] AbortSignal to cancel the command
    * @param {Function} callback
    * @type  {void}
    */
-  this.symlink = function(linkdata, path, callback) {
-    this.exec("ln", "ln " + linkdata + " " + path, function(lines) {
-      callback(isError(lines));
-    });
+  this.symlink = function(linkdata, path, options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
+    }
+    var cmd = "ln " + quote(linkdata) + " " + quote(path);
+    this.exec("ln", cmd, function(lines) {
+      callback(isError(lines, cmd, path));
+    }, null, options);
   };
 
   /**
    * Asynchronous mkdir(2). No arguments other than a possible exception are
    * given to the completion callback.
+   * The legacy signature mkdir(path, checkIfDirExists, mode, callback) is
+   * still supported.
    *
    * @param {String}       path
-   * @param {String,octal} mode (optional)
+   * @param {Object}       [options]
+   * @param {String,octal} [options.mode=0755]
+   * @param {Boolean}      [options.checkIfDirExists=false] wait until the directory shows up in a listing
+   * @param {Object}       [options.signal] AbortSignal to cancel the command
    * @param {Function}     callback
    * @type  {void}
    */
-  this.mkdir = function(path, checkIfDirExists, mode, callback) {
-    if (!path) return callback(new Error("Invalid path."));
-
-    if (typeof mode === 'function') {
-      callback = mode;
-      mode = null;
+  this.mkdir = function(path, options, callback) {
+    if (arguments.length > 3 || (options != null && typeof options != "object" && typeof options != "function")) {
+      callback = typeof arguments[2] == "function" ? arguments[2] : arguments[3];
+      options = {
+        checkIfDirExists: options,
+        mode: typeof arguments[2] == "function" ? null : arguments[2]
+      };
     }
-
-    mode = mode || 0755;
+    else if (typeof options == "function") {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
     callback = callback || function() {};
 
+    if (!path) return callback(new Error("Invalid path."));
+
+    var mode = options.mode || 0755,
+      checkIfDirExists = options.checkIfDirExists,
+      signal = {signal: options.signal};
+
     var _self = this;
     // remove trailing slashes which can confuse sftp
     path = path.replace(/\/$/, '');
 
-    this.exec("mkdir", "mkdir " + path, function(lines) {
-      var err = isError(lines);
+    var cmd = "mkdir " + quote(path);
+    this.exec("mkdir", cmd, function(lines) {
+      var err = isError(lines, cmd, path);
       if (err) return callback(err);
 
       var tries = 0,
         maxTries = 10;
 
       var waitThatDirIsWritten = function(name, innerDone) {
-        _self.stat(name, function(err) {
+        _self.stat(name, signal, function(err) {
           if (err) {
+            if (err.code == "ABORT_ERR")
+              return innerDone(err);
             if (tries === maxTries) {
               return innerDone(new Error('sorry, but dir could not be written.'));
             }
@@ -400,96 +746,84 @@ require("util").inherits(Sftp, Events.EventEmitter);
       };
 
       if (!checkIfDirExists) {
-        return _self.chmod(path, mode || 0755, callback);
+        return _self.chmod(path, mode || 0755, signal, callback);
       }
 
       waitThatDirIsWritten(path, function(err) {
         if (err) return callback(err);
 
-        _self.chmod(path, mode || 0755, callback);
+        _self.chmod(path, mode || 0755, signal, callback);
       });
-    });
+    }, null, options);
   };
 
   /**
    * Asynchronous mkdirp(2). No arguments other than a possible exception are
    * given to the completion callback.
    *
-   * @param {String}       path
-   * @param {String,octal} mode (optional)
-   * @param {Function}     callback
+   * @param {String}              path
+   * @param {String,octal,Object} [mode] mode or {mode, signal}
+   * @param {Function}            callback
    * @type  {void}
    */
   this.mkdirp = function(path, mode, callback) {
-    if (!path)
-      return callback(new Error("Invalid path."));
     if (typeof mode === 'function') {
       callback = mode;
       mode = null;
     }
-    mode = mode || 0755;
+    if (!path)
+      return callback(new Error("Invalid path."));
+    var options = mode && typeof mode == "object" ? mode : {mode: mode};
+    mode = options.mode || 0755;
     callback = callback || function() {};
 
     var _self = this;
-    this.mkdir(path, mode, function(err) {
-      if (err) {
-        _self.mkdirp(Path.dirname(path), mode, function(err) {
+    this.mkdir(path, {mode: mode, signal: options.signal}, function(err) {
+      if (!err || err.code == "ABORT_ERR") return callback(err);
+
+      // mkdir also fails for directories that already exist
+      _self.stat(path, {signal: options.signal}, function(statErr, stat) {
+        if (!statErr && stat.isDirectory())
+          return callback();
+        if (statErr && statErr.code == "ABORT_ERR")
+          return callback(statErr);
+
+        var parent = Path.dirname(path);
+        if (parent == path || parent == ".")
+          return callback(err);
+
+        _self.mkdirp(parent, {mode: mode, signal: options.signal}, function(err) {
           if (err) return callback(err);
-          _self.mkdir(path, mode, callback);
+          _self.mkdir(path, {mode: mode, signal: options.signal}, callback);
         });
-      } else {
-        callback(err);
-      }
+      });
     });
   };
 
   /**
    * Asynchronous pwd(1). The callback gets two arguments (err, path)
    *
+   * @param {Object}   [options]
+   * @param {Object}   [options.signal] AbortSignal to cancel the command
    * @param {Function} callback
    * @type  {void}
    */
-  this.pwd = function(callback) {
+  this.pwd = function(options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
+    }
     this.exec("pwd", "pwd", function(lines) {
+      var err = isError(lines, "pwd");
+      if (err)
+        return callback(err);
       // getting back on stdin:
       // sftp> pwd
       // Remote working directory: /home/cloud9
       callback(null, lines.join("").replace(/[^:]+:[\s]*([^\n\r\t]+)/g, "$1"));
-    });
+    }, null, options);
   };
 
-  /**
-   * Small and simple routine to transform a collection of output strings into
-   * an object of property for each filesystem node.
-   *
-   * @param {Array} lines
-   * @type  {Object}
-   * @private
-   */
-  function parseListing(lines) {
-    var res = [];
-
-    lines.forEach(function(line) {
-      if (!line || /\/[\.]{1,2}$/.test(line)) {
-        return;
-      }
-
-      var match = line.match(/^[\s]*([\?ldrwxt-]+)[\s]*([\d]+)[\s]*([^\s]*)[\s]*([^\s]*)[\s]*([\d]+)[\s]*([^\s]*[\s]*[^\s]*[\s]*[^\s]*)[\s]*(.*)$/);
-      if (!match) return;
-
-      res.push({
-        permissions: match[1],
-        hard_links: match[2],
-        owner: match[3],
-        group: match[4],
-        size: parseInt(match[5]),
-        last_modified: match[6],
-        path: match[7]
-      });
-    });
-    return res;
-  }
-
   /**
    * Execute the 'ls' command, which is used for {@link Sftp#readdir}, {@link Sftp#stat},
    * {@link Sftp#fstat} and {@link Sftp#lstat} respectively. For {@link Sftp#stat}
@@ -498,14 +832,17 @@ require("util").inherits(Sftp, Events.EventEmitter);
    * Important: 'ls' output results are cached for 10 seconds, to improve performance.
    *
    * @param {String}   path
+   * @param {Object}   [options] {signal, glob}
    * @param {Function} cbls
    * @type  {void}
    * @private
    */
-  function ls(path, cbls) {
+  function ls(path, options, cbls) {
     if (!this.$lsCache)
       this.$lsCache = {};
-    var cache = this.$lsCache[path],
+    var glob = !!(options && options.glob),
+      key = (glob ? "glob:" : "") + path,
+      cache = this.$lsCache[key],
       now = Date.now(),
       _self = this;
 
@@ -513,7 +850,7 @@ require("util").inherits(Sftp, Events.EventEmitter);
       if (cache.expires >= now)
         return cbls(null, cache.result);
       else
-        delete this.$lsCache[path];
+        delete this.$lsCache[key];
     }
 
     var cmd = "ls -l";
@@ -524,18 +861,19 @@ require("util").inherits(Sftp, Events.EventEmitter);
     if (this.cmdOptions["ls"].indexOf("t") > -1)
       cmd += "t";
 
-    this.exec("ls", cmd + " " + (path || ""), function(lines) {
-      var err = isError(lines),
-        res = parseListing(lines);
+    cmd += " " + (path ? quote(path, glob) : "");
+    this.exec("ls", cmd, function(lines) {
+      var err = isError(lines, cmd, path),
+        res = Listing.parse(lines);
 
       if (!err) {
-        _self.$lsCache[path] = {
+        _self.$lsCache[key] = {
           expires: now + 10000,
           result: res
         };
       }
       cbls(err, res);
-    });
+    }, null, options);
   }
 
   /**
@@ -544,13 +882,20 @@ require("util").inherits(Sftp, Events.EventEmitter);
    * the files in the directory excluding '.' and '..'.
    *
    * @param {String}   path
+   * @param {Object}   [options]
+   * @param {Object}   [options.signal] AbortSignal to cancel the command
+   * @param {Boolean}  [options.glob=false] expand the wildcards in path
    * @param {Function} callback
    * @type  {void}
    */
-  this.readdir = function(path, callback) {
+  this.readdir = function(path, options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
+    }
     var _self = this;
 
-    ls.call(_self, path, function(err, listing) {
+    ls.call(_self, path, options, function(err, listing) {
       if (err) return callback(err);
 
       callback(null, listing);
@@ -571,17 +916,45 @@ require("util").inherits(Sftp, Events.EventEmitter);
      * });
    * </pre>
    *
-   * @param {String}   filename
-   * @param {String}   encoding
-   * @param {Function} callback
+   * @param {String}        filename
+   * @param {String,Object} [encoding] encoding or {encoding, timeout, signal, resume, verify,
+   *                                   verifyRetries}, see {@link Sftp#downloadFile}
+   * @param {Function}      callback
    * @type  {void}
    */
   this.readFile = function(filename, encoding, callback) {
-    var temp = Util.DEFAULT_TMPDIR + "/" + Util.uuid();
+    var options = null;
+    if (typeof encoding == "function") {
+      callback = encoding;
+      encoding = null;
+    }
+    else if (encoding && typeof encoding == "object") {
+      options = encoding;
+      encoding = encoding.encoding;
+    }
 
-    this.exec("readFile", "get " + filename + " " + temp, function(lines) {
-      var err = isError(lines);
-      if (err) return callback(err);
+    var temp = Util.DEFAULT_TMPDIR + "/" + Util.uuid(),
+      _self = this;
+
+    if (options && options.verify)
+      return verifyTransfer.call(this, false, temp, filename, options, transfer, done);
+    transfer(options, done);
+
+    function transfer(options, cb) {
+      if (options && options.resume)
+        return resumeTransfer.call(_self, false, temp, filename, options, cb);
+
+      var cmd = "get " + quote(filename) + " " + quote(temp);
+      _self.exec("readFile", cmd, function(lines) {
+        cb(isError(lines, cmd, filename));
+      }, null, options);
+    }
+
+    function done(err) {
+      if (err) {
+        Fs.unlink(temp, K);
+        return callback(err);
+      }
 
       Fs.readFile(temp, encoding, function(err, data) {
         if (err) return callback(err);
@@ -591,7 +964,83 @@ require("util").inherits(Sftp, Events.EventEmitter);
           callback(null, data);
         });
       });
+    }
+  };
+
+  /**
+   * Returns a readable stream for the contents of a remote file.
+   * The file is fetched with 'get' into a temporary local file, which is then
+   * streamed and removed afterwards, so the contents are never held in memory.
+   * No data is emitted before 'get' finished: the sftp client writes the blocks
+   * of the file as they arrive, not necessarily in order, so a partly fetched
+   * file cannot be read from yet. For the same reason the whole file is fetched
+   * even when only a range of it is read with start and end. Destroying the
+   * stream cancels the transfer. Errors of the 'get' command are emitted as
+   * 'error' events on the stream, the transferred percentage as 'progress'
+   * events.
+   * Example:
+   * <pre class="code">
+   * sftp.createReadStream("/exports/dump.sql").pipe(Zlib.createGzip()).pipe(res);
+   * </pre>
+   *
+   * @param {String} path
+   * @param {Object} [options]
+   * @param {Number} [options.start]    first byte to read, inclusive, of the fetched file
+   * @param {Number} [options.end]      last byte to read, inclusive, of the fetched file
+   * @param {String} [options.encoding] emit strings instead of Buffers
+   * @param {Number} [options.timeout]  overrides the inactivity timeout of the connection
+   * @param {Object} [options.signal]   AbortSignal to cancel the transfer
+   * @type  {stream.Readable}
+   */
+  this.createReadStream = function(path, options) {
+    options = options || {};
+
+    var temp = Util.DEFAULT_TMPDIR + "/" + Util.uuid(),
+      stream = new Stream.PassThrough(),
+      controller = abortController(),
+      signal = options.signal,
+      file = null;
+
+    if (options.encoding)
+      stream.setEncoding(options.encoding);
+
+    function abort() {
+      controller.abort();
+    }
+
+    // the 'get' of a destroyed stream would keep the session busy
+    stream.on("close", function() {
+      file ? file.destroy() : abort();
     });
+    if (signal && signal.aborted)
+      abort();
+    else if (signal)
+      signal.addEventListener("abort", abort);
+
+    var cmd = "get " + quote(path) + " " + quote(temp);
+    this.exec("createReadStream", cmd, function(lines) {
+      signal && signal.removeEventListener("abort", abort);
+      var err = isError(lines, cmd, path);
+      // nobody is reading anymore
+      if (err || stream.destroyed) {
+        Fs.unlink(temp, K);
+        return err && !stream.destroyed && stream.emit("error", err);
+      }
+
+      file = Fs.createReadStream(temp, {start: options.start, end: options.end});
+      file.on("error", function(err) {
+        Fs.unlink(temp, K);
+        stream.emit("error", err);
+      });
+      file.on("close", function() {
+        Fs.unlink(temp, K);
+      });
+      file.pipe(stream);
+    }, onProgress(function(percent) {
+      stream.emit("progress", percent);
+    }), Util.extend({}, options, {signal: controller.signal}));
+
+    return stream;
   };
 
   /**
@@ -600,13 +1049,20 @@ require("util").inherits(Sftp, Events.EventEmitter);
    *
    * @param {String}   path1
    * @param {String}   path2
+   * @param {Object}   [options]
+   * @param {Object}   [options.signal] AbortSignal to cancel the command
    * @param {Function} callback
    * @type  {void}
    */
-  this.rename = function(path1, path2, callback) {
-    this.exec("rename", "rename " + path1 + " " + (path2 || path1), function(lines) {
-      callback(isError(lines));
-    });
+  this.rename = function(path1, path2, options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
+    }
+    var cmd = "rename " + quote(path1) + " " + quote(path2 || path1);
+    this.exec("rename", cmd, function(lines) {
+      callback(isError(lines, cmd, path1));
+    }, null, options);
   };
 
   /**
@@ -614,59 +1070,54 @@ require("util").inherits(Sftp, Events.EventEmitter);
    * given to the completion callback.
    *
    * @param {String}   path
+   * @param {Object}   [options]
+   * @param {Object}   [options.signal] AbortSignal to cancel the command
    * @param {Function} callback
    * @type {void}
    */
-  this.rmdir = function(path, callback) {
-    this.exec("rmdir", "rmdir " + path, function(lines) {
-      callback(isError(lines));
-    });
-  };
-
-  /**
-   * Helper function to get an octal representation from terminal output in a
-   * human readable form.
-   * Example: 'drwxr-xr-x' --> '755' or '-rw-rw-r--' --> '664'
-   *
-   * @param {String} rwx
-   * @type  {String}
-   * @private
-   */
-  function getOct(rwx) {
-    var oct = "";
-
-    for (var c, o = 0, i = 0, l = rwx.length; i < l; ++i) {
-      c = rwx.charAt(i);
-
-      if (i % 3 === 0) {
-        oct += "" + o;
-        o = 0;
-      }
-
-      c = rwx.charAt(i + 1);
-      o += c == "r" ? 4 : c == "w" ? 2 : c == "x" ? 1 : 0;
+  this.rmdir = function(path, options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
     }
-
-    return oct;
-  }
+    var cmd = "rmdir " + quote(path);
+    this.exec("rmdir", cmd, function(lines) {
+      callback(isError(lines, cmd, path));
+    }, null, options);
+  };
 
   /**
    * Sftp specific Stat object
    * @class Objects returned from sftp.stat() and sftp.lstat() are of this type.
+   * It is created from an entry of a listing, like the ones {@link Sftp#readdir}
+   * returns.
    *
-   * @property {Number} uid
-   * @property {Number} gid
-   * @property {String} mtime
+   * @property {Number} mode        file type and permissions, like the one of fs.Stats
+   * @property {String} permissions permissions column of the listing, e.g. 'drwxr-xr-x'
+   * @property {Number} nlink
+   * @property {Number} uid         only known when ls supports -n, otherwise undefined
+   * @property {Number} gid         only known when ls supports -n, otherwise undefined
+   * @property {String} owner       owner name, null when the listing shows the uid
+   * @property {String} group       group name, null when the listing shows the gid
    * @property {Number} size
-   * @property {String} mode
+   * @property {Date}   mtime       with minute precision at most, an invalid Date when unknown
+   * @property {String} target      target of a symbolic link, when the server lists it
    */
   var Stat = Sftp.Stat = function(struct) {
-    this.uid = struct.uid;
-    this.gid = struct.gid;
-    this.mtime = struct.date + struct.time;
-    this.size = struct.size;
-    //this.mode = parseInt(getOct(struct.perms || struct.permissions), 10);
+    var owner = struct.owner != null ? String(struct.owner) : "",
+      group = struct.group != null ? String(struct.group) : "";
+
     this.permissions = struct.perms || struct.permissions;
+    this.mode = Listing.mode(this.permissions);
+    this.nlink = parseInt(struct.hard_links, 10) || 0;
+    // 'ls -n' shows the numeric ids instead of the names
+    this.uid = struct.uid != null ? Number(struct.uid) : /^\d+$/.test(owner) ? parseInt(owner, 10) : undefined;
+    this.gid = struct.gid != null ? Number(struct.gid) : /^\d+$/.test(group) ? parseInt(group, 10) : undefined;
+    this.owner = owner && !/^\d+$/.test(owner) ? owner : null;
+    this.group = group && !/^\d+$/.test(group) ? group : null;
+    this.size = Number(struct.size) || 0;
+    this.mtime = Listing.date(struct.last_modified);
+    this.target = struct.target || null;
 
     /**
      * @type {Boolean}
@@ -713,16 +1164,6 @@ require("util").inherits(Sftp, Events.EventEmitter);
   };
 
 
-  /**
-   * Alias of {@link Sftp#stat}
-   * @function
-   */
-  this.fstat =
-  /**
-   * Alias of {@link Sftp#stat}
-   * @function
-   */
-    this.lstat = this.stat;
   /**
    * Asynchronous lstat(2). The callback gets two arguments (err, stats) where
    * stats is a sftp.Stats object. lstat() is identical to stat(), except that if
@@ -730,17 +1171,23 @@ require("util").inherits(Sftp, Events.EventEmitter);
    * it refers to.
    *
    * @param {String}   path
+   * @param {Object}   [options]
+   * @param {Object}   [options.signal] AbortSignal to cancel the command
    * @param {Function} callback
    * @type  {void}
    */
-  this.stat = function(path, callback) {
+  this.stat = function(path, options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
+    }
     var _self = this,
       parts = path.split("/"),
       node = parts.pop(),
       root = parts.length === 1 ? '/' : parts.join("/");
 
     if (root.charAt(0) != "/") {
-      this.pwd(function(err, pwd) {
+      this.pwd(options, function(err, pwd) {
         if (err) return callback(err);
 
         pwd = pwd.replace(/[\/]+$/, "");
@@ -752,7 +1199,7 @@ require("util").inherits(Sftp, Events.EventEmitter);
       afterPwd();
 
     function afterPwd() {
-      ls.call(_self, root, function(err, list) {
+      ls.call(_self, root, options, function(err, list) {
         if (err) return callback(err);
 
         list = list.filter(function(item) {
@@ -760,7 +1207,7 @@ require("util").inherits(Sftp, Events.EventEmitter);
         });
 
         if (list.length === 0) {
-          return callback(new Error("Couldn't stat remote file: No such file or directory"));
+          return callback(new SftpError("Couldn't stat remote file: No such file or directory", "ENOENT", "ls", path));
         }
 
         return callback(null, new Stat(list[0]));
@@ -768,18 +1215,37 @@ require("util").inherits(Sftp, Events.EventEmitter);
     }
   };
 
+  /**
+   * Alias of {@link Sftp#stat}
+   * @function
+   */
+  this.fstat =
+  /**
+   * Alias of {@link Sftp#stat}
+   * @function
+   */
+    this.lstat = this.stat;
+
   /**
    * Asynchronous unlink(2). No arguments other than a possible exception are
    * given to the completion callback.
    *
    * @param {String}   path
+   * @param {Object}   [options]
+   * @param {Object}   [options.signal] AbortSignal to cancel the command
+   * @param {Boolean}  [options.glob=false] expand the wildcards in path
    * @param {Function} callback
    * @type  {void}
    */
-  this.unlink = function(path, callback) {
-    this.exec("unlink", "rm " + path, function(lines) {
-      callback(isError(lines));
-    });
+  this.unlink = function(path, options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
+    }
+    var cmd = "rm " + quote(path, options && options.glob);
+    this.exec("unlink", cmd, function(lines) {
+      callback(isError(lines, cmd, path));
+    }, null, options);
   };
 
   /**
@@ -792,22 +1258,45 @@ require("util").inherits(Sftp, Events.EventEmitter);
      *     console.log("It's saved!");
      * });
    * </pre>
+   * The legacy signature
+   * writeFile(filename, data, encoding, checkIfFileExists, callback, progresscb)
+   * is still supported.
    *
    * @param {String}        filename
    * @param {String,Buffer} data
-   * @param {String}        encoding
+   * @param {Object,String} [options]                         options object or encoding
+   * @param {String}        [options.encoding="utf8"]
+   * @param {Boolean}       [options.checkIfFileExists=false] wait until the file shows up in a listing
+   * @param {Function}      [options.progress]                invoked with the transferred percentage
+   * @param {Number}        [options.timeout]                 overrides the inactivity timeout of the connection
+   * @param {Object}        [options.signal]                  AbortSignal to cancel the transfer
+   * @param {Boolean}       [options.resume=false]            see {@link Sftp#uploadFile}
+   * @param {String}        [options.verify]                  'size' or 'checksum', see {@link Sftp#uploadFile}
+   * @param {Number}        [options.verifyRetries=0]         see {@link Sftp#uploadFile}
    * @param {Function}      callback
    * @type  {void}
    */
-  this.writeFile = function(filename, data, encoding, checkIfFileExists, callback, progresscb) {
-    if (arguments.length === 3 && typeof arguments[2] === "function") {
-      callback = arguments[2];
-      encoding = "utf8";
-    } else {
-      encoding = encoding || "utf8";
+  this.writeFile = function(filename, data, options, callback) {
+    if (arguments.length > 4 || typeof callback == "boolean") {
+      callback = arguments[4];
+      options = {
+        encoding: arguments[2],
+        checkIfFileExists: arguments[3],
+        progress: arguments[5]
+      };
+    }
+    else if (typeof options == "function") {
+      callback = options;
+      options = {};
+    }
+    else if (!options || typeof options == "string") {
+      options = {encoding: options};
     }
 
-    var temp = Util.DEFAULT_TMPDIR + "/" + Util.uuid(),
+    var encoding = options.encoding || "utf8",
+      checkIfFileExists = options.checkIfFileExists,
+      progresscb = options.progress,
+      temp = Util.DEFAULT_TMPDIR + "/" + Util.uuid(),
       _self = this;
 
     Fs.writeFile(temp, data, encoding, function(err) {
@@ -815,73 +1304,1983 @@ require("util").inherits(Sftp, Events.EventEmitter);
         return callback(err);
       }
 
-      _self.exec("writeFile", "put " + temp + " " + filename, function(lines) {
-        var err = isError(lines);
-        if (err) return callback(err);
-
-        var tries = 0,
-          maxTries = 50;
+      if (options.verify)
+        return verifyTransfer.call(_self, true, temp, filename, options, transfer, done);
+      transfer(options, done);
+    });
 
-        var waitThatFileWasWritten = function(filename, innerDone) {
-          _self.stat(filename, function(err) {
-            if (err) {
-              if (tries === maxTries) {
-                return innerDone(new Error('sorry, but file could not be written.'));
-              }
-
-              tries += 1;
-              return setTimeout(function() {
-                waitThatFileWasWritten(filename, innerDone);
-              }, 400)
-            }
+    function transfer(options, cb) {
+      if (options.resume)
+        return resumeTransfer.call(_self, true, temp, filename, options, written);
 
-            innerDone();
-          });
-        };
+      var cmd = "put " + quote(temp) + " " + quote(filename);
+      _self.exec("writeFile", cmd, function(lines) {
+        written(isError(lines, cmd, filename));
+      }, onProgress(progresscb), options);
 
-        if (!checkIfFileExists) {
-          return Fs.unlink(temp, function() {
-            callback();
-          });
-        }
+      function written(err) {
+        if (err || !checkIfFileExists) return cb(err);
 
-        waitThatFileWasWritten(filename, function(err) {
-          if (err) return callback(err);
+        waitThatFileWasWritten.call(_self, filename, options, cb);
+      }
+    }
 
-          Fs.unlink(temp, function() {
-            callback();
-          });
-        });
-      }, function(progress) {
-        if (typeof progresscb != 'function') return;
-        var p;
-        if (p = progress.match(/(\d+)%/)) {
-          progresscb(p[1]);
-        }
+    function done(err) {
+      Fs.unlink(temp, function() {
+        // error? we don't care here...
+        callback(err);
       });
-    });
+    }
   };
 
   /**
-   * Prepare an Sftp command to be sent to the remote host
+   * Returns a writable stream for a remote file. Written data is buffered in
+   * a temporary local file, which is uploaded with 'put' when the stream is
+   * ended. 'finish' is only emitted after the upload completed and the file
+   * shows up on the remote host. The transferred percentage is emitted as
+   * 'progress' events.
+   * Example:
+   * <pre class="code">
+   * db.dump().pipe(sftp.createWriteStream("/backups/dump.sql", {mode: 0600}));
+   * </pre>
    *
-   * @param {String}   type
+   * @param {String}       path
+   * @param {Object}       [options]
+   * @param {String,octal} [options.mode]    mode to chmod the remote file to
+   * @param {Number}       [options.timeout] overrides the inactivity timeout of the connection
+   * @param {Object}       [options.signal]  AbortSignal to cancel the upload
+   * @type  {stream.Writable}
+   */
+  this.createWriteStream = function(path, options) {
+    options = options || {};
+
+    var temp = Util.DEFAULT_TMPDIR + "/" + Util.uuid(),
+      file = Fs.createWriteStream(temp),
+      _self = this;
+
+    var stream = new Stream.Writable({
+      write: function(chunk, encoding, callback) {
+        file.write(chunk, encoding, callback);
+      },
+      final: function(callback) {
+        file.on("close", function() {
+          var cmd = "put " + quote(temp) + " " + quote(path);
+          _self.exec("createWriteStream", cmd, function(lines) {
+            Fs.unlink(temp, K);
+            var err = isError(lines, cmd, path);
+            if (err) return callback(err);
+
+            waitThatFileWasWritten.call(_self, path, options, function(err) {
+              if (err || !options.mode) return callback(err);
+              _self.chmod(path, options.mode, {signal: options.signal}, callback);
+            });
+          }, onProgress(function(percent) {
+            stream.emit("progress", percent);
+          }), options);
+        });
+        file.end();
+      }
+    });
+
+    file.on("error", function(err) {
+      Fs.unlink(temp, K);
+      stream.emit("error", err);
+    });
+
+    return stream;
+  };
+
+  /**
+   * Upload a local file with 'put', without copying it to a temporary file
+   * first.
+   *
+   * @param {String}   localPath
+   * @param {String}   remotePath
+   * @param {Object}   [options]
+   * @param {Boolean}  [options.checkIfFileExists=false] wait until the file shows up in a listing
+   * @param {Boolean}  [options.preserve=false]          keep modification time and mode (put -p)
+   * @param {Function} [options.progress]                invoked with the transferred percentage
+   * @param {Number}   [options.timeout]                 overrides the inactivity timeout of the connection
+   * @param {Object}   [options.signal]                  AbortSignal to cancel the transfer
+   * @param {Boolean}  [options.glob=false]              expand the wildcards in localPath to upload
+   *                                                    several files to the remotePath directory
+   * @param {Boolean}  [options.resume=false]            append to a smaller remote file instead of
+   *                                                    starting over, one of the same size counts as
+   *                                                    complete. After a lost connection the upload
+   *                                                    continues where it stopped
+   * @param {String}   [options.verify]                  check the uploaded file by its 'size' or
+   *                                                    'checksum', fails with EINTEGRITY when
+   *                                                    it differs from localPath
+   * @param {Number}   [options.verifyRetries=0]         upload again this often when the check fails
+   * @param {Function} callback
+   * @type  {void}
+   */
+  this.uploadFile = function(localPath, remotePath, options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
+    }
+    options = options || {};
+
+    var _self = this;
+
+    if (options.verify && !options.glob)
+      return verifyTransfer.call(this, true, localPath, remotePath, options, transfer, callback);
+    transfer(options, callback);
+
+    function transfer(options, cb) {
+      if (options.resume && !options.glob)
+        return resumeTransfer.call(_self, true, localPath, remotePath, options, done);
+
+      var cmd = (options.preserve ? "put -p " : "put ") + quote(localPath, options.glob) + " " + quote(remotePath);
+      _self.exec("uploadFile", cmd, function(lines) {
+        done(isError(lines, cmd, remotePath));
+      }, onProgress(options.progress), options);
+
+      function done(err) {
+        if (err || !options.checkIfFileExists) return cb(err);
+
+        waitThatFileWasWritten.call(_self, remotePath, options, cb);
+      }
+    }
+  };
+
+  /**
+   * Recursively upload a local directory. When the remote directory does not
+   * exist yet and the server supports it, the whole tree is sent with a single
+   * 'put -r', otherwise the tree is walked and every file is uploaded with
+   * {@link Sftp#uploadFile}.
+   * The callback gets two arguments (err, summary), where summary contains the
+   * relative paths of the files that were `transferred` and `skipped`, and
+   * {path, error} objects for the files that `failed`. When 'put -r' fails,
+   * err is set and summary has the files that were sent until then.
+   *
+   * @param {String}   localDir
+   * @param {String}   remoteDir
+   * @param {Object}   [options]
+   * @param {Function} [options.filter]         filter(relativePath, fs.Stats), return false to skip an entry
+   * @param {Boolean}  [options.overwrite=true] replace files that already exist on the remote host
+   * @param {Boolean}  [options.preserve=false] keep modification times and modes
+   * @param {Function} [options.progress]       invoked with {file, percent, totalPercent}
+   * @param {Number}   [options.timeout]        overrides the inactivity timeout of the connection per transfer
+   * @param {Object}   [options.signal]         AbortSignal to cancel the upload, the files that were
+   *                                            transferred until then stay on the remote host
+   * @param {Function} callback
+   * @type  {void}
+   */
+  this.uploadDir = function(localDir, remoteDir, options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
+    }
+    options = options || {};
+    localDir = localDir.replace(/\/+$/, "");
+    remoteDir = remoteDir.replace(/\/+$/, "");
+
+    var summary = {transferred: [], skipped: [], failed: []},
+      putOptions = this.cmdOptions["put"] || [],
+      signal = {signal: options.signal},
+      _self = this;
+
+    readLocalTree(localDir, options.filter, function(err, entries) {
+      if (err) return callback(err);
+
+      var progress = trackProgress(entries, options.progress);
+
+      _self.stat(remoteDir, signal, function(err) {
+        if (aborted(options))
+          return callback(abortError(remoteDir));
+        if (err && err.code == "ENOENT" && !options.filter && putOptions.indexOf("r") > -1)
+          return putRecursive(entries, progress);
+        if (!err)
+          return uploadEntries(entries, progress);
+
+        _self.mkdirp(remoteDir, signal, function(err) {
+          if (err) return callback(err);
+          uploadEntries(entries, progress);
+        });
+      });
+    });
+
+    function putRecursive(entries, progress) {
+      var dir = localDir,
+        current = null,
+        percent = 0,
+        cmd = "put -r" + (options.preserve ? "p " : " ") + quote(localDir) + " " + quote(remoteDir);
+
+      _self.exec("uploadDir", cmd, function(lines) {
+        var err = isError(lines, cmd, remoteDir);
+        if (err) {
+          // the files before the one that was being sent made it
+          if (current && percent == 100)
+            summary.transferred.push(current);
+          else if (current)
+            summary.failed.push({path: current, error: err});
+          return callback(err, summary);
+        }
+
+        summary.transferred = [];
+        entries.forEach(function(entry) {
+          if (!entry.dir)
+            summary.transferred.push(entry.path);
+        });
+        callback(null, summary);
+      }, function(data) {
+        // the progress meter only shows the file name, the directory it is
+        // in is announced by an 'Entering' line
+        data.split(/[\n\r]+/).forEach(function(line) {
+          var m;
+          if (m = line.match(/^Entering (.+)$/)) {
+            dir = m[1];
+          }
+          else if (m = line.match(/^(.*?)\s+(\d+)%/)) {
+            var file = Path.relative(localDir, Path.join(dir, m[1]));
+            if (current && current != file) {
+              progress.complete(current);
+              summary.transferred.push(current);
+            }
+            percent = parseInt(m[2], 10);
+            progress.update(current = file, m[2]);
+          }
+        });
+      }, options);
+    }
+
+    function uploadEntries(entries, progress) {
+      var i = 0;
+
+      (function next() {
+        var entry = entries[i++];
+        if (aborted(options))
+          return callback(abortError(remoteDir), summary);
+        if (!entry)
+          return callback(null, summary);
+
+        var local = localDir + "/" + entry.path,
+          remote = remoteDir + "/" + entry.path;
+
+        // a directory that fails to be created surfaces as failed uploads
+        if (entry.dir)
+          return _self.mkdir(remote, {mode: options.preserve ? entry.stat.mode & 0777 : null, signal: options.signal}, function() {
+            next();
+          });
+
+        if (options.overwrite === false) {
+          return _self.stat(remote, signal, function(err) {
+            if (!err) {
+              summary.skipped.push(entry.path);
+              progress.complete(entry.path);
+              return next();
+            }
+            upload();
+          });
+        }
+        upload();
+
+        function upload() {
+          _self.uploadFile(local, remote, {
+            preserve: options.preserve,
+            timeout: options.timeout,
+            signal: options.signal,
+            progress: function(percent) {
+              progress.update(entry.path, percent);
+            }
+          }, function(err) {
+            if (err)
+              summary.failed.push({path: entry.path, error: err});
+            else
+              summary.transferred.push(entry.path);
+            progress.complete(entry.path);
+            next();
+          });
+        }
+      })();
+    }
+  };
+
+  /**
+   * Recursively download a remote directory. The remote tree is listed with
+   * {@link Sftp#readdir}, the directory structure is recreated locally and
+   * every file is fetched with {@link Sftp#downloadFile}.
+   * The callback gets two arguments (err, manifest), where manifest contains
+   * the relative paths of the `directories` that were created and the files
+   * that were `transferred`, {path, error} objects for the files that
+   * `failed` and the total number of `bytes` transferred.
+   *
+   * @param {String}   remoteDir
+   * @param {String}   localDir
+   * @param {Object}   [options]
+   * @param {Function} [options.filter]        filter(relativePath, Sftp.Stat), return false to skip an entry
+   * @param {Number}   [options.concurrency=1] number of listings and transfers to queue at the same time
+   * @param {Function} [options.progress]      invoked with {file, percent, totalPercent}
+   * @param {Number}   [options.timeout]       overrides the inactivity timeout of the connection per transfer
+   * @param {Object}   [options.signal]        AbortSignal to cancel the download
+   * @param {Function} callback
+   * @type  {void}
+   */
+  this.downloadDir = function(remoteDir, localDir, options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
+    }
+    options = options || {};
+    remoteDir = remoteDir.replace(/\/+$/, "");
+    localDir = localDir.replace(/\/+$/, "");
+
+    var manifest = {directories: [], transferred: [], failed: [], bytes: 0},
+      concurrency = options.concurrency || 1,
+      _self = this;
+
+    readRemoteTree.call(this, remoteDir, options.filter, concurrency, options.signal, function(err, entries) {
+      if (err) return callback(err);
+
+      var progress = trackProgress(entries, options.progress),
+        dirs = [""],
+        files = [];
+
+      entries.forEach(function(entry) {
+        (entry.dir ? dirs : files).push(entry.path);
+      });
+
+      // directories are sorted before their contents, so create them in order
+      Util.eachLimit(dirs, 1, function(path, next) {
+        Util.mkdirp(path ? localDir + "/" + path : localDir, function(err) {
+          if (!err && path)
+            manifest.directories.push(path);
+          next(err);
+        });
+      }, function(err) {
+        if (err) return callback(err);
+
+        Util.eachLimit(files, concurrency, function(path, next) {
+          if (aborted(options))
+            return next(abortError(remoteDir));
+          _self.downloadFile(remoteDir + "/" + path, localDir + "/" + path, {
+            timeout: options.timeout,
+            signal: options.signal,
+            progress: function(percent) {
+              progress.update(path, percent);
+            }
+          }, function(err) {
+            if (err) {
+              manifest.failed.push({path: path, error: err});
+            }
+            else {
+              manifest.transferred.push(path);
+              manifest.bytes += progress.size(path);
+            }
+            progress.complete(path);
+            next();
+          });
+        }, function(err) {
+          callback(err || null, manifest);
+        });
+      });
+    });
+  };
+
+  /**
+   * Recursively remove a remote file or directory, depth-first. Symbolic links
+   * are removed themselves, the files or directories they point to are left
+   * untouched.
+   * The callback gets two arguments (err, removed), where removed lists the
+   * paths in the order they were (or, with dryRun, would be) removed.
+   *
+   * @param {String}   path
+   * @param {Object}   [options]
+   * @param {Boolean}  [options.dryRun=false] only report what would be removed
+   * @param {Object}   [options.signal]       AbortSignal to stop removing
+   * @param {Function} callback
+   * @type  {void}
+   */
+  this.rmrf = function(path, options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
+    }
+    options = options || {};
+    path = path.replace(/(.)\/+$/, "$1");
+
+    var removed = [],
+      signal = {signal: options.signal},
+      _self = this;
+
+    this.stat(path, signal, function(err, stat) {
+      if (err) return callback(err);
+      if (!stat.isDirectory())
+        return remove([{path: path, dir: false}]);
+
+      readRemoteTree.call(_self, path, null, 1, options.signal, function(err, entries) {
+        if (err) return callback(err);
+
+        entries = entries.reverse().map(function(entry) {
+          return {path: path + "/" + entry.path, dir: entry.dir};
+        });
+        entries.push({path: path, dir: true});
+        remove(entries);
+      });
+    });
+
+    function remove(entries) {
+      Util.eachLimit(entries, 1, function(entry, next) {
+        if (options.dryRun) {
+          removed.push(entry.path);
+          return next();
+        }
+
+        _self[entry.dir ? "rmdir" : "unlink"](entry.path, signal, function(err) {
+          if (!err)
+            removed.push(entry.path);
+          next(err);
+        });
+      }, function(err) {
+        // cached listings still contain the removed entries
+        if (!options.dryRun)
+          _self.$lsCache = {};
+        callback(err, removed);
+      });
+    }
+  };
+
+  /**
+   * Compute the plan to mirror a directory from one side to the other, without
+   * changing anything. The callback gets two arguments (err, plan), where plan
+   * has the `direction` and {path, dir, size} entries that need to be added
+   * to, updated on or deleted from the target. Entries that exist on both
+   * sides, but as a file on one and a directory on the other, are always
+   * deleted and added again.
+   *
+   * @param {String}   localDir
+   * @param {String}   remoteDir
+   * @param {Object}   [options]
+   * @param {String}   [options.direction="up"] "up" mirrors local to remote, "down" remote to local
+   * @param {String}   [options.compare="size"] "size", "mtime" (source newer than target) or "checksum"
+   * @param {Boolean}  [options.delete=false]   delete entries that only exist on the target
+   * @param {Function} [options.filter]         filter(relativePath, stat), return false to ignore an entry
+   * @param {Object}   [options.signal]         AbortSignal to cancel the listings and checksum downloads
+   * @param {Function} callback
+   * @type  {void}
+   */
+  this.syncPlan = function(localDir, remoteDir, options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
+    }
+    options = options || {};
+    localDir = localDir.replace(/\/+$/, "");
+    remoteDir = remoteDir.replace(/\/+$/, "");
+
+    var up = options.direction != "down",
+      compare = options.compare || "size",
+      plan = {direction: up ? "up" : "down", add: [], update: [], "delete": []},
+      _self = this;
+
+    if (["size", "mtime", "checksum"].indexOf(compare) == -1)
+      return callback(new Error("Unsupported compare mode '" + compare + "'"));
+
+    // a missing target directory is treated as empty, a missing source is an error
+    readLocalTree(localDir, options.filter, function(err, local) {
+      if (err && (up || err.code != "ENOENT")) return callback(err);
+
+      readRemoteTree.call(_self, remoteDir, options.filter, 1, options.signal, function(err, remote) {
+        if (err && (!up || err.code != "ENOENT")) return callback(err);
+
+        var source = up ? local : remote,
+          target = indexEntries(up ? remote : local),
+          found = {},
+          replaced = {},
+          candidates = [];
+
+        source.forEach(function(entry) {
+          var other = target[entry.path];
+          found[entry.path] = true;
+
+          if (!other) {
+            plan.add.push(planEntry(entry));
+          }
+          else if (other.dir != entry.dir) {
+            replaced[entry.path] = true;
+            plan["delete"].push(planEntry(other));
+            plan.add.push(planEntry(entry));
+          }
+          else if (!entry.dir) {
+            candidates.push([entry, other]);
+          }
+        });
+
+        if (options["delete"]) {
+          var gone = {};
+          Object.keys(target).sort().forEach(function(path) {
+            // the contents of a deleted or replaced directory go along with it
+            var parent = path;
+            while ((parent = parent.slice(0, Math.max(parent.lastIndexOf("/"), 0)))) {
+              if (gone[parent])
+                return;
+            }
+            if (replaced[path] || !found[path])
+              gone[path] = true;
+            if (!found[path])
+              plan["delete"].push(planEntry(target[path]));
+          });
+        }
+
+        Util.eachLimit(candidates, 1, function(pair, next) {
+          hasChanged(pair[0], pair[1], function(err, changed) {
+            if (changed)
+              plan.update.push(planEntry(pair[0]));
+            next(err);
+          });
+        }, function(err) {
+          callback(err, plan);
+        });
+      });
+    });
+
+    function hasChanged(source, target, cb) {
+      if (compare == "size" || (compare == "checksum" && source.size != target.size))
+        return cb(null, source.size != target.size);
+
+      if (compare == "mtime") {
+        // listings only have minute precision, an unknown time counts as changed
+        var s = Math.floor(new Date(source.stat.mtime).getTime() / 60000),
+          t = Math.floor(new Date(target.stat.mtime).getTime() / 60000);
+        return cb(null, isNaN(s) || isNaN(t) || s > t);
+      }
+
+      var path = up ? source.path : target.path,
+        temp = Util.DEFAULT_TMPDIR + "/" + Util.uuid();
+
+      _self.downloadFile(remoteDir + "/" + path, temp, {signal: options.signal}, function(err) {
+        if (err) {
+          Fs.unlink(temp, K);
+          return cb(err);
+        }
+
+        Util.hashFile(temp, function(err, remoteHash) {
+          Fs.unlink(temp, K);
+          if (err) return cb(err);
+
+          Util.hashFile(localDir + "/" + path, function(err, localHash) {
+            cb(err, localHash != remoteHash);
+          });
+        });
+      });
+    }
+  };
+
+  /**
+   * Mirror a directory from one side to the other, based on the plan computed
+   * by {@link Sftp#syncPlan}. Deletions are executed first, then directories
+   * are created and finally files are transferred.
+   * The callback gets two arguments (err, plan), where plan additionally
+   * contains {path, error} objects for the entries that `failed`. With dryRun
+   * the plan is returned without executing it.
+   *
+   * @param {String}   localDir
+   * @param {String}   remoteDir
+   * @param {Object}   [options]                see {@link Sftp#syncPlan}
+   * @param {Boolean}  [options.dryRun=false]   only compute the plan
+   * @param {Object}   [options.signal]         AbortSignal to stop mirroring, the changes made
+   *                                            until then are kept
+   * @param {Function} callback
+   * @type  {void}
+   */
+  this.sync = function(localDir, remoteDir, options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
+    }
+    options = options || {};
+    localDir = localDir.replace(/\/+$/, "");
+    remoteDir = remoteDir.replace(/\/+$/, "");
+
+    var signal = {signal: options.signal},
+      _self = this;
+
+    this.syncPlan(localDir, remoteDir, options, function(err, plan) {
+      if (err || options.dryRun) return callback(err, plan);
+
+      var up = plan.direction == "up",
+        dirs = plan.add.filter(function(entry) {
+          return entry.dir;
+        }),
+        files = plan.add.concat(plan.update).filter(function(entry) {
+          return !entry.dir;
+        });
+
+      plan.failed = [];
+
+      createRoot(function(err) {
+        if (err) return callback(err);
+
+        Util.eachLimit(plan["delete"], 1, run(remove), function(err) {
+          if (err) return done(err);
+          Util.eachLimit(dirs, 1, run(mkdir), function(err) {
+            if (err) return done(err);
+            Util.eachLimit(files, 1, run(transfer), done);
+          });
+        });
+      });
+
+      function done(err) {
+        // cached listings do not reflect the changes
+        _self.$lsCache = {};
+        callback(err || null, plan);
+      }
+
+      function run(action) {
+        return function(entry, next) {
+          if (aborted(options))
+            return next(abortError(remoteDir));
+          action(entry.path, function(err) {
+            if (err)
+              plan.failed.push({path: entry.path, error: err});
+            next();
+          });
+        };
+      }
+
+      function createRoot(cb) {
+        if (!up)
+          return Util.mkdirp(localDir, cb);
+
+        _self.stat(remoteDir, signal, function(err) {
+          if (!err) return cb();
+          _self.mkdirp(remoteDir, signal, cb);
+        });
+      }
+
+      function remove(path, cb) {
+        if (up)
+          return _self.rmrf(remoteDir + "/" + path, signal, function(err) {
+            cb(err);
+          });
+        Util.rmrf(localDir + "/" + path, cb);
+      }
+
+      function mkdir(path, cb) {
+        if (up)
+          return _self.mkdir(remoteDir + "/" + path, signal, cb);
+        Util.mkdirp(localDir + "/" + path, cb);
+      }
+
+      function transfer(path, cb) {
+        if (up)
+          return _self.uploadFile(localDir + "/" + path, remoteDir + "/" + path, signal, cb);
+        _self.downloadFile(remoteDir + "/" + path, localDir + "/" + path, signal, cb);
+      }
+    });
+  };
+
+  /**
+   * Recursively walk a remote directory, breadth-first, based on the listings
+   * of 'ls'. Returns an async iterator of {path, name, depth, stat} entries,
+   * where path is the root joined with the path of the entry below it and
+   * stat is a {@link Sftp.Stat}. Directories are only listed while entries
+   * are being consumed. A failing listing rejects the pending next() call and
+   * ends the walk.
+   * Example:
+   * <pre class="code">
+   * for await (var entry of sftp.walk("/incoming", {depth: 2})) {
+   *     if (entry.stat.isFile())
+   *         console.log(entry.path, entry.stat.size);
+   * }
+   * </pre>
+   *
+   * @param {String}   root
+   * @param {Object}   [options]
+   * @param {Number}   [options.depth=Infinity]       levels to descend, 1 only yields the entries of root
+   * @param {Function} [options.filter]               filter(entry), return false to skip an entry
+   *                                                  and everything below it
+   * @param {Boolean}  [options.followSymlinks=false] descend into symbolic links to directories. A link
+   *                                                  to the directory it is in or to one above it is not
+   *                                                  descended into, to not run in circles
+   * @param {Number}   [options.concurrency=1]        number of listings to queue at the same time
+   * @param {Object}   [options.signal]               AbortSignal to cancel the listings
+   * @type  {AsyncIterator}
+   */
+  this.walk = function(root, options) {
+    options = options || {};
+    root = (root || "").replace(/(.)\/+$/, "$1");
+
+    var maxDepth = options.depth == null ? Infinity : options.depth,
+      concurrency = options.concurrency || 1,
+      dirs = maxDepth > 0 ? [{path: root, depth: 0, real: root, parent: null}] : [],
+      entries = [],
+      waiting = [],
+      listing = 0,
+      error = null,
+      finished = false,
+      _self = this;
+
+    function list(dir) {
+      listing++;
+      // the trailing slash lists the directory a symbolic link points to
+      ls.call(_self, dir.link ? dir.path + "/" : dir.path, {signal: options.signal}, function(err, items) {
+        listing--;
+        if (finished)
+          return;
+        // a link that does not point to a directory was yielded as is
+        if (err && !dir.link)
+          error = err;
+
+        items = err ? [] : items;
+        dir.fingerprint = fingerprint(items);
+        if (dir.link && isCycle(dir.parent, dir.real, dir.fingerprint))
+          items = [];
+
+        items.forEach(function(item) {
+          var name = item.path.replace(/\/+$/, "").split("/").pop(),
+            path = Path.join(dir.path, name);
+
+          if (name == "." || name == ".." || path == Path.join(dir.path))
+            return;
+
+          var entry = {path: path, name: name, depth: dir.depth + 1, stat: new Stat(item)};
+          if (options.filter && !options.filter(entry))
+            return;
+
+          entries.push(entry);
+          if (entry.depth >= maxDepth)
+            return;
+
+          var next = {path: path, depth: entry.depth, parent: dir,
+            real: dir.real != null ? Path.join(dir.real, name) : null};
+          if (entry.stat.isDirectory())
+            return dirs.push(next);
+          if (!options.followSymlinks || !entry.stat.isSymbolicLink())
+            return;
+
+          // the target is only known when the server lists it
+          var target = entry.stat.target;
+          next.real = !target ? null : target.charAt(0) == "/" ? Path.normalize(target)
+            : next.real != null ? Path.join(dir.real, target) : null;
+          next.link = true;
+          if (!isCycle(dir, next.real))
+            dirs.push(next);
+        });
+        settle();
+      });
+    }
+
+    // the contents of a directory, which are the same for every path to it
+    function fingerprint(items) {
+      return items.map(function(item) {
+        return [item.path.replace(/\/+$/, "").split("/").pop(), item.permissions,
+          item.size, item.last_modified].join(" ");
+      }).sort().join("\n");
+    }
+
+    // whether a link leads back to the directory it is in or one above it,
+    // by its resolved path or, when that is unknown, by the contents
+    function isCycle(dir, real, contents) {
+      for (; dir; dir = dir.parent) {
+        if (real != null && dir.real != null && (dir.real == real
+          || dir.real.indexOf(real.replace(/\/$/, "") + "/") === 0))
+          return true;
+        if (contents != null && dir.fingerprint === contents)
+          return true;
+      }
+      return false;
+    }
+
+    function settle() {
+      while (waiting.length) {
+        if (entries.length) {
+          waiting.shift().resolve({value: entries.shift(), done: false});
+        }
+        else if (error) {
+          finish();
+          waiting.shift().reject(error);
+          error = null;
+        }
+        else if (finished || (!dirs.length && !listing)) {
+          finished = true;
+          waiting.shift().resolve({value: undefined, done: true});
+        }
+        else {
+          while (listing < concurrency && dirs.length)
+            list(dirs.shift());
+          // listings that were cached complete right away
+          if (listing)
+            return;
+        }
+      }
+    }
+
+    function finish() {
+      finished = true;
+      dirs = [];
+      entries = [];
+    }
+
+    var iterator = {
+      next: function() {
+        return new Promise(function(resolve, reject) {
+          waiting.push({resolve: resolve, reject: reject});
+          settle();
+        });
+      },
+      "return": function() {
+        finish();
+        settle();
+        return Promise.resolve({value: undefined, done: true});
+      }
+    };
+    iterator[Symbol.asyncIterator] = function() {
+      return this;
+    };
+    return iterator;
+  };
+
+  /**
+   * Find remote paths that match a glob pattern, based on {@link Sftp#walk}.
+   * '*' and '?' match any characters but '/', '**' any number of directories
+   * and {a,b} either of the alternatives. Only the directories that may contain
+   * a match are listed. Like in a shell, names that start with a dot are only
+   * matched by a pattern that starts with a dot, unless dot is set.
+   * The callback gets two arguments (err, entries), with the matching
+   * {path, name, depth, stat} entries sorted by path.
+   * Example:
+   * <pre class="code">
+   * sftp.glob("/incoming/**\/*.{csv,tsv}", function(err, entries) {
+   *     ...
+   * });
+   * </pre>
+   *
+   * @param {String}   pattern
+   * @param {Object}   [options]
+   * @param {Boolean}  [options.dot=false]            let wildcards match names that start with a dot
+   * @param {Boolean}  [options.followSymlinks=false] see {@link Sftp#walk}
+   * @param {Number}   [options.concurrency=1]        see {@link Sftp#walk}
+   * @param {Object}   [options.signal]               AbortSignal to cancel the listings
+   * @param {Function} callback
+   * @type  {void}
+   */
+  this.glob = function(pattern, options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
+    }
+    options = options || {};
+
+    var found = {},
+      result = [],
+      _self = this;
+
+    // every alternative is searched on its own, a path may match several
+    Util.eachLimit(expandBraces(pattern), 1, function(pattern, next) {
+      var walked = 0,
+        glob = compileGlob(pattern, options.dot),
+        iterator = _self.walk(glob.base, {
+          depth: glob.segments.indexOf("**") > -1 ? Infinity : glob.segments.length,
+          followSymlinks: options.followSymlinks,
+          concurrency: options.concurrency,
+          signal: options.signal,
+          filter: function(entry) {
+            var parts = relativeParts(glob.base, entry.path);
+            return matchSegments(glob.segments, parts, false, options.dot)
+              || (!entry.stat.isFile() && matchSegments(glob.segments, parts, true, options.dot));
+          }
+        });
+
+      (function read() {
+        iterator.next().then(function(step) {
+          if (step.done)
+            return next();
+
+          var entry = step.value;
+          walked++;
+          if (!found[entry.path] && matchSegments(glob.segments, relativeParts(glob.base, entry.path), false, options.dot)) {
+            found[entry.path] = true;
+            result.push(entry);
+          }
+          read();
+        }, function(err) {
+          // a base directory that does not exist simply matches nothing
+          next(err.code == "ENOENT" && !walked ? null : err);
+        });
+      })();
+    }, function(err) {
+      if (err) return callback(err);
+      callback(null, result.sort(function(a, b) {
+        return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+      }));
+    });
+  };
+
+  /**
+   * Expand the {a,b} alternatives of a glob pattern like a shell does, braces
+   * without a comma are taken literally.
+   * Example: 'a/{b,c{d,e}}' --> ['a/b', 'a/cd', 'a/ce']
+   *
+   * @param {String} pattern
+   * @type  {Array}
+   * @private
+   */
+  function expandBraces(pattern) {
+    var depth = 0,
+      start = -1,
+      commas = [];
+
+    for (var i = 0; i < pattern.length; i++) {
+      var c = pattern.charAt(i);
+      if (c == "{") {
+        if (depth++ === 0) {
+          start = i;
+          commas = [];
+        }
+      }
+      else if (c == "," && depth == 1) {
+        commas.push(i);
+      }
+      else if (c == "}" && depth > 0 && --depth === 0 && commas.length) {
+        var pre = pattern.slice(0, start),
+          post = pattern.slice(i + 1),
+          from = start + 1,
+          expanded = [];
+
+        commas.concat(i).forEach(function(at) {
+          expanded = expanded.concat(expandBraces(pre + pattern.slice(from, at) + post));
+          from = at + 1;
+        });
+        return expanded;
+      }
+    }
+    return [pattern];
+  }
+
+  /**
+   * Split a glob pattern without braces into the directory to start walking
+   * at, which is the part without wildcards, and the segments below it. A
+   * segment is either '**' or a RegExp for a single name.
+   *
+   * @param {String}  pattern
+   * @param {Boolean} [dot]   let wildcards match names that start with a dot
+   * @type  {Object}  {base, segments}
+   * @private
+   */
+  function compileGlob(pattern, dot) {
+    var parts = pattern.split("/"),
+      base = [];
+
+    // the last segment is always matched, even without wildcards
+    while (parts.length > 1 && !/[*?]/.test(parts[0]))
+      base.push(parts.shift());
+
+    return {
+      base: base.length == 1 && base[0] === "" ? "/" : base.join("/"),
+      segments: parts.filter(Boolean).map(function(part) {
+        if (part == "**")
+          return part;
+
+        var source = part.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+          .replace(/\*/g, "[^/]*")
+          .replace(/\?/g, "[^/]");
+        return new RegExp("^" + (dot || part.charAt(0) == "." ? "" : "(?!\\.)") + source + "$");
+      })
+    };
+  }
+
+  /**
+   * @param {String} base as returned by compileGlob
+   * @param {String} path as yielded by {@link Sftp#walk}
+   * @type  {Array}  the names of path below base
+   * @private
+   */
+  function relativeParts(base, path) {
+    return (base ? path.slice(base.length) : path).split("/").filter(Boolean);
+  }
+
+  /**
+   * Match the names of a path against the segments of a compiled glob. With
+   * partial, the path is a directory that matches when something below it may
+   * still match.
+   *
+   * @param {Array}   segments as returned by compileGlob
+   * @param {Array}   parts
+   * @param {Boolean} partial
+   * @param {Boolean} [dot]
+   * @type  {Boolean}
+   * @private
+   */
+  function matchSegments(segments, parts, partial, dot) {
+    if (!parts.length)
+      return partial || segments.every(function(segment) {
+        return segment == "**";
+      });
+    if (!segments.length)
+      return false;
+
+    if (segments[0] == "**") {
+      return matchSegments(segments.slice(1), parts, partial, dot)
+        || ((dot || parts[0].charAt(0) != ".") && matchSegments(segments, parts.slice(1), partial, dot));
+    }
+    return segments[0].test(parts[0]) && matchSegments(segments.slice(1), parts.slice(1), partial, dot);
+  }
+
+  /**
+   * Create a hashmap of tree entries, keyed by their relative path.
+   *
+   * @param {Array} entries as returned by readLocalTree or readRemoteTree
+   * @type  {Object}
+   * @private
+   */
+  function indexEntries(entries) {
+    var index = {};
+    (entries || []).forEach(function(entry) {
+      index[entry.path] = entry;
+    });
+    return index;
+  }
+
+  /**
+   * Strip a tree entry down to what is exposed in a sync plan.
+   *
+   * @param {Object} entry as returned by readLocalTree or readRemoteTree
+   * @type  {Object}
+   * @private
+   */
+  function planEntry(entry) {
+    return {path: entry.path, dir: entry.dir, size: entry.size};
+  }
+
+  /**
+   * Recursively list a remote directory with {@link Sftp#readdir}. The entries
+   * are sorted by path, with every directory preceding its contents. Symbolic
+   * links are listed, but not followed.
+   *
+   * @param {String}   root
+   * @param {Function} [filter]   filter(relativePath, Sftp.Stat), return false to skip an entry
+   * @param {Number}   concurrency number of directory listings to queue at the same time
+   * @param {Object}   [signal]    AbortSignal to cancel the listings
+   * @param {Function} callback   gets (err, entries) where an entry is {path, dir, size, stat}
+   * @type  {void}
+   * @private
+   */
+  function readRemoteTree(root, filter, concurrency, signal, callback) {
+    var entries = [],
+      _self = this;
+
+    (function read(rel, done) {
+      _self.readdir(rel ? root + "/" + rel : root, {signal: signal}, function(err, listing) {
+        if (err) return done(err);
+
+        var dirs = [];
+        listing.forEach(function(item) {
+          var name = item.path.split("/").pop(),
+            path = rel ? rel + "/" + name : name,
+            stat = new Stat(item);
+
+          if (name == "." || name == "..")
+            return;
+          if (filter && !filter(path, stat))
+            return;
+
+          entries.push({path: path, dir: stat.isDirectory(), size: stat.size, stat: stat});
+          if (stat.isDirectory())
+            dirs.push(path);
+        });
+
+        Util.eachLimit(dirs, concurrency, read, done);
+      });
+    })("", function(err) {
+      callback(err, entries.sort(function(a, b) {
+        return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+      }));
+    });
+  }
+
+  /**
+   * Recursively list a local directory. The entries are sorted by path, with
+   * every directory preceding its contents.
+   *
+   * @param {String}   root
+   * @param {Function} [filter]  filter(relativePath, fs.Stats), return false to skip an entry
+   * @param {Function} callback  gets (err, entries) where an entry is {path, dir, size, stat}
+   * @type  {void}
+   * @private
+   */
+  function readLocalTree(root, filter, callback) {
+    var entries = [];
+
+    (function read(rel, done) {
+      Fs.readdir(rel ? root + "/" + rel : root, function(err, names) {
+        if (err) return done(err);
+
+        var i = 0;
+        names.sort();
+
+        (function next(err) {
+          if (err) return done(err);
+
+          var name = names[i++];
+          if (name === undefined)
+            return done();
+
+          var path = rel ? rel + "/" + name : name;
+          Fs.stat(root + "/" + path, function(err, stat) {
+            if (err) return done(err);
+            if (filter && !filter(path, stat))
+              return next();
+
+            entries.push({path: path, dir: stat.isDirectory(), size: stat.size, stat: stat});
+            if (stat.isDirectory())
+              return read(path, next);
+            next();
+          });
+        })();
+      });
+    })("", function(err) {
+      callback(err, entries);
+    });
+  }
+
+  /**
+   * Keep track of the aggregate progress of a transfer of multiple files.
+   *
+   * @param {Array}    entries    as returned by readLocalTree
+   * @param {Function} cbprogress invoked with {file, percent, totalPercent}
+   * @type  {Object}
+   * @private
+   */
+  function trackProgress(entries, cbprogress) {
+    var total = 0,
+      done = 0,
+      sizes = {};
+
+    entries.forEach(function(entry) {
+      if (entry.dir) return;
+      sizes[entry.path] = entry.size;
+      total += entry.size;
+    });
+
+    return {
+      update: function(file, percent) {
+        if (typeof cbprogress != "function") return;
+        percent = parseInt(percent, 10);
+        cbprogress({
+          file: file,
+          percent: percent,
+          totalPercent: total
+            ? Math.floor((done + (sizes[file] || 0) * percent / 100) * 100 / total)
+            : 100
+        });
+      },
+      complete: function(file) {
+        done += sizes[file] || 0;
+      },
+      size: function(file) {
+        return sizes[file] || 0;
+      }
+    };
+  }
+
+  /**
+   * Download a remote file with 'get' straight to a local path.
+   *
+   * @param {String}   remotePath
+   * @param {String}   localPath
+   * @param {Object}   [options]
+   * @param {Function} [options.progress] invoked with the transferred percentage
+   * @param {Number}   [options.timeout]  overrides the inactivity timeout of the connection
+   * @param {Object}   [options.signal]   AbortSignal to cancel the transfer
+   * @param {Boolean}  [options.glob]     expand the wildcards in remotePath to download
+   *                                      several files to the localPath directory
+   * @param {Boolean}  [options.resume]   append to a smaller local file instead of starting over,
+   *                                      one of the same size counts as complete. After a lost
+   *                                      connection the download continues where it stopped
+   * @param {String}   [options.verify]   check the downloaded file by its 'size' or 'checksum',
+   *                                      fails with EINTEGRITY when it differs from remotePath
+   * @param {Number}   [options.verifyRetries=0] download again this often when the check fails
+   * @param {Function} callback
+   * @type  {void}
+   */
+  this.downloadFile = function(remotePath, localPath, options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
+    }
+    options = options || {};
+
+    var _self = this;
+
+    if (options.verify && !options.glob)
+      return verifyTransfer.call(this, false, localPath, remotePath, options, transfer, callback);
+    transfer(options, callback);
+
+    function transfer(options, cb) {
+      if (options.resume && !options.glob)
+        return resumeTransfer.call(_self, false, localPath, remotePath, options, cb);
+
+      var cmd = "get " + quote(remotePath, options.glob) + " " + quote(localPath);
+      _self.exec("downloadFile", cmd, function(lines) {
+        cb(isError(lines, cmd, remotePath));
+      }, onProgress(options.progress), options);
+    }
+  };
+
+  /**
+   * Run a list of sftp commands in one go. Every command is an array of the
+   * command name and its arguments, e.g. ['chmod', 644, 'a/x']. Flags such as
+   * '-p' that directly follow the command name are passed on as they are, all
+   * other arguments are quoted, so that they are read as one path even when
+   * they start with a dash or contain spaces. The commands
+   * are written to sftp all at once, without waiting for the prompt after
+   * each of them. A comment line follows every command, which sftp ignores,
+   * so that the output of a command is told apart from the next one by the
+   * echo of that comment. With stopOnError, the commands are sent one after
+   * the other instead, so that nothing runs after a command failed.
+   * The callback gets two arguments (err, results), where results has a
+   * {command, lines, error} object for every command that ran, with the output
+   * lines of the command and its SftpError or null. err is only set when the
+   * batch could not run, or for the failed command with stopOnError.
+   *
+   * @param {Array}    commands
+   * @param {Object}   [options]
+   * @param {Boolean}  [options.stopOnError=false] skip the commands after the first failure
+   * @param {Boolean}  [options.glob=false]        leave the wildcards in the arguments for sftp
+   *                                              to expand
+   * @param {Number}   [options.timeout]           overrides the inactivity timeout of the connection
+   * @param {Object}   [options.signal]            AbortSignal to cancel the batch
+   * @param {Function} callback
+   * @type  {void}
+   */
+  this.batch = function(commands, options, callback) {
+    if (typeof options == "function") {
+      callback = options;
+      options = null;
+    }
+    options = options || {};
+
+    var lines = [],
+      results = [],
+      id = Util.uuid(),
+      _self = this;
+
+    for (var i = 0; i < commands.length; i++) {
+      // only the flags right after the command name are options of the command
+      var flags = true;
+      var cmd = [].concat(commands[i]).map(function(arg, i) {
+        flags = flags && (!i || /^-\w+$/.test(arg));
+        return flags ? String(arg) : quote(arg, options.glob);
+      }).join(" ");
+      if (!cmd || /[\r\n]/.test(cmd) || /^(bye|exit|quit)\b/.test(cmd))
+        return callback(new Error("Invalid batch command '" + cmd + "'"));
+      lines.push(cmd);
+    }
+    if (!lines.length)
+      return callback(null, results);
+
+    var markers = lines.map(function(line, i) {
+      return "#batch " + id + " " + i;
+    });
+
+    // the output of a command is what sftp printed before the echo of its marker
+    function split(raw, from, to) {
+      var start = 0;
+      for (var i = from; i < to; i++) {
+        var end = raw.indexOf(markers[i], start);
+        results.push(batchResult(commands[i], lines[i], raw.slice(start, end)));
+        start = end + markers[i].length;
+      }
+      return results[to - 1];
+    }
+
+    // done once the marker of the last command was echoed
+    function execOptions(last) {
+      return {timeout: options.timeout, signal: options.signal, until: markers[last]};
+    }
+
+    if (!options.stopOnError) {
+      var script = [];
+      lines.forEach(function(line, i) {
+        script.push(line, markers[i]);
+      });
+      return this.exec("batch", script.join("\r\n"), function(output, raw) {
+        // without the raw output the batch failed as a whole
+        if (raw == null)
+          return callback(isError(output, null, null));
+
+        split(raw, 0, lines.length);
+        callback(null, results);
+      }, null, execOptions(lines.length - 1));
+    }
+
+    (function next(i) {
+      if (i == lines.length)
+        return callback(null, results);
+
+      _self.exec("batch", lines[i] + "\r\n" + markers[i], function(output, raw) {
+        if (raw == null)
+          return callback(isError(output, null, null), results);
+
+        var result = split(raw, i, i + 1);
+        if (result.error)
+          return callback(result.error, results);
+        next(i + 1);
+      }, null, execOptions(i));
+    })(0);
+  };
+
+  /**
+   * Create the result of a single batch command from its output.
+   *
+   * @param {Array}  command as passed to {@link Sftp#batch}
+   * @param {String} cmd     the command line that was sent
+   * @param {String} output  what sftp printed from the echo of the command up
+   *                         to the echo of its marker
+   * @type  {Object} {command, lines, error}
+   * @private
+   */
+  function batchResult(command, cmd, output) {
+    // the prompts before the echo of the command and of the marker
+    output = output.replace(/^[\r\n]*sftp>[ \t]?/, "").replace(/sftp>\s*$/, "");
+    var args = [].concat(command),
+      // the remote path is the last argument, except for downloads
+      path = args.length < 2 ? null : /^(get|reget)$/.test(args[0]) ? args[1] : args[args.length - 1],
+      lines = output.split(/[\n\r]+/).filter(function(line) {
+        line = line.trim();
+        return line && line != cmd;
+      });
+
+    return {
+      command: cmd,
+      lines: lines,
+      error: isError(lines, cmd, path == null ? undefined : String(path))
+    };
+  }
+
+  /**
+   * Transfer a file with 'put' or 'get', continuing a partial copy on the
+   * target. The sizes of source and target are compared first: a smaller
+   * target is appended to with 'put -a' or 'reput' ('get -a' or 'reget'), a
+   * target of the same size is complete already and anything else is
+   * transferred from the start. When the transfer is interrupted by a lost
+   * connection or a timeout, the sizes are compared again once reconnected,
+   * and the transfer continues for as long as it makes progress.
+   *
+   * @param {Boolean}  upload
+   * @param {String}   localPath
+   * @param {String}   remotePath
+   * @param {Object}   options    {progress, preserve, timeout, signal}
+   * @param {Function} callback
+   * @type  {void}
+   * @private
+   */
+  function resumeTransfer(upload, localPath, remotePath, options, callback) {
+    var name = upload ? "put" : "get",
+      flags = this.cmdOptions[name] || [],
+      last = -1,
+      _self = this;
+
+    (function attempt(lastErr) {
+      // listings from before the interruption show an outdated size
+      _self.$lsCache = {};
+
+      Fs.stat(localPath, function(err, local) {
+        if (err && (upload || err.code != "ENOENT")) return callback(lastErr || err);
+
+        _self.stat(remotePath, {signal: options.signal}, function(err, remote) {
+          if (err && (!upload || err.code != "ENOENT")) return callback(lastErr || err);
+
+          // -1 for a target that does not exist yet
+          var size = upload ? local.size : remote.size,
+            offset = upload ? (remote ? remote.size : -1) : (local ? local.size : -1);
+
+          if (offset == size)
+            return callback(null);
+          if (lastErr && offset <= last)
+            return callback(lastErr);
+          last = offset;
+
+          var append = offset > 0 && offset < size,
+            cmd = name;
+          if (append && flags.indexOf("a") == -1 && !_self.cmdOptions["re" + name])
+            append = false;
+
+          if (append && flags.indexOf("a") == -1)
+            cmd = "re" + name + (options.preserve ? " -p" : "");
+          else if (append || options.preserve)
+            cmd += " -" + (append ? "a" : "") + (options.preserve ? "p" : "");
+          cmd += upload ? " " + quote(localPath) + " " + quote(remotePath)
+            : " " + quote(remotePath) + " " + quote(localPath);
+
+          var start = append ? Math.floor(offset / size * 100) : 0,
+            progress = onProgress(options.progress && function(percent) {
+              // the progress does not go back to before the resumed offset
+              if (+percent >= start)
+                options.progress(percent);
+            });
+          if (append && options.progress)
+            options.progress(String(start));
+
+          // not replayed after a lost connection, but continued from its new offset
+          _self.exec(upload ? "reput" : "reget", cmd, function(lines) {
+            var err = isError(lines, cmd, remotePath);
+            if (err && (err.code == "ECONNRESET" || err.code == "ETIMEDOUT"))
+              return attempt(err);
+            callback(err);
+          }, progress, options);
+        });
+      });
+    })();
+  }
+
+  /**
+   * Transfer a file and check afterwards that the local and remote copies are
+   * the same. With 'size', the local size is compared to the size in a fresh
+   * listing of the remote file. With 'checksum', the SHA-256 digests of both
+   * are compared. The sftp client has no command for the 'check-file'
+   * extension that lets a server hash a file, so the remote digest is always
+   * computed from a second download. When the copies differ, the file is
+   * transferred again from the start up to options.verifyRetries times,
+   * before failing with EINTEGRITY.
+   *
+   * @param {Boolean}  upload
+   * @param {String}   localPath
+   * @param {String}   remotePath
+   * @param {Object}   options    {verify, verifyRetries, timeout, signal}
+   * @param {Function} transfer   transfer(options, callback) copies the file once
+   * @param {Function} callback
+   * @type  {void}
+   * @private
+   */
+  function verifyTransfer(upload, localPath, remotePath, options, transfer, callback) {
+    var compare = {size: compareSize, checksum: compareChecksum}[options.verify],
+      retries = options.verifyRetries || 0,
+      _self = this;
+
+    if (!compare)
+      return callback(new Error("Unsupported verify mode '" + options.verify + "'"));
+
+    (function attempt(opts) {
+      transfer(opts, function(err) {
+        if (err) return callback(err);
+
+        compare.call(_self, localPath, remotePath, options, function(err, local, remote) {
+          if (err || local === remote) return callback(err);
+          // the target is corrupt, resuming it would keep the damage
+          if (retries-- > 0)
+            return attempt(Util.extend({}, options, {resume: false}));
+
+          callback(new SftpError("Integrity check of '" + remotePath + "' failed: local "
+            + options.verify + " " + local + " does not match remote " + remote,
+            "EINTEGRITY", upload ? "put" : "get", remotePath));
+        });
+      });
+    })(options);
+  }
+
+  /**
+   * Get the sizes of a local file and of a remote file.
+   *
+   * @param {String}   localPath
+   * @param {String}   remotePath
+   * @param {Object}   options    {signal}
+   * @param {Function} callback   gets (err, localSize, remoteSize)
+   * @type  {void}
+   * @private
+   */
+  function compareSize(localPath, remotePath, options, callback) {
+    var _self = this;
+
+    // a cached listing shows the size from before the transfer
+    this.$lsCache = {};
+
+    Fs.stat(localPath, function(err, local) {
+      if (err) return callback(err);
+
+      _self.stat(remotePath, {signal: options.signal}, function(err, remote) {
+        if (err) return callback(err);
+        callback(null, local.size, remote.size);
+      });
+    });
+  }
+
+  /**
+   * Get the SHA-256 digests of a local file and of a remote file, which is
+   * downloaded to a temporary file for that.
+   *
+   * @param {String}   localPath
+   * @param {String}   remotePath
+   * @param {Object}   options    {timeout, signal}
+   * @param {Function} callback   gets (err, localDigest, remoteDigest)
+   * @type  {void}
+   * @private
+   */
+  function compareChecksum(localPath, remotePath, options, callback) {
+    var temp = Util.DEFAULT_TMPDIR + "/" + Util.uuid(),
+      cmd = "get " + quote(remotePath) + " " + quote(temp);
+
+    this.exec("verify", cmd, function(lines) {
+      var err = isError(lines, cmd, remotePath);
+      if (err) {
+        Fs.unlink(temp, K);
+        return callback(err);
+      }
+
+      Util.hashFile(localPath, function(err, local) {
+        if (err) {
+          Fs.unlink(temp, K);
+          return callback(err);
+        }
+
+        Util.hashFile(temp, function(err, remote) {
+          Fs.unlink(temp, K);
+          callback(err, local, remote);
+        });
+      });
+    }, null, options);
+  }
+
+  /**
+   * Poll the remote host with {@link Sftp#stat} until a freshly uploaded file
+   * shows up, which may take a while on some servers.
+   *
+   * @param {String}   path
+   * @param {Object}   options  {signal}
+   * @param {Function} callback
+   * @type  {void}
+   * @private
+   */
+  function waitThatFileWasWritten(path, options, callback) {
+    var tries = 0,
+      maxTries = 50,
+      _self = this;
+
+    // a cached listing of the parent dir does not contain the new file yet
+    this.$lsCache = {};
+
+    (function poll() {
+      _self.stat(path, {signal: options.signal}, function(err) {
+        if (!err || err.code == "ABORT_ERR")
+          return callback(err);
+        if (tries === maxTries)
+          return callback(new Error('sorry, but file could not be written.'));
+
+        tries += 1;
+        setTimeout(poll, 400);
+      });
+    })();
+  }
+
+  /**
+   * Create a progress handler for {@link Sftp#exec} that extracts the
+   * transferred percentage from the progress meter of 'get' and 'put'.
+   *
+   * @param {Function} cbprogress invoked with the percentage as a String
+   * @type  {Function}
+   * @private
+   */
+  function onProgress(cbprogress) {
+    return function(progress) {
+      if (typeof cbprogress != "function") return;
+      var p;
+      if (p = progress.match(/(\d+)%/))
+        cbprogress(p[1]);
+    };
+  }
+
+  /**
+   * Handle a connection that was lost unexpectedly, e.g. when the server
+   * closed an idle session. The queued commands are kept to be replayed once
+   * the connection is restored, as is the command that was running if it is
+   * idempotent. Other commands fail, since they may have taken effect.
+   *
+   * @param {Number} [code] exit code of the sftp process
+   * @type  {void}
+   * @private
+   */
+  function connectionLost(code) {
+    var type = this.activeCmd,
+      active = type && [type, this.$activeCmdLine, this.callbacks[type], this.callbacks[type + "_progress"], this.$activeOptions];
+
+    this.$lost = true;
+    terminate.call(this, code);
+
+    if (active) {
+      delete this.callbacks[type];
+      delete this.callbacks[type + "_progress"];
+      this.activeCmd = null;
+      this.activeCmdBuffer = "";
+
+      // the connection is gone, which is what bye asked for
+      if (type == "bye")
+        active[2] && active[2]([]);
+      else if (Sftp.IDEMPOTENT.indexOf(type) > -1 && !(active[2] && active[2].aborted))
+        this.queue.unshift(active);
+      else
+        active[2] && active[2](["Connection lost while running '" + active[1] + "', it is not retried as it may have taken effect"]);
+    }
+
+    if (this.queue.length || this.options.reconnect)
+      reconnect.call(this);
+  }
+
+  /**
+   * Restore a lost connection according to options.reconnect, then restore
+   * the working directory and replay the queued commands.
+   *
+   * @type  {void}
+   * @private
+   */
+  function reconnect() {
+    if (this.$reconnect)
+      return;
+
+    var o = this.options.reconnect,
+      policy = o ? Util.extend(Util.extend({}, Sftp.RECONNECT), o === true ? {} : o)
+        : {attempts: 1, delay: 0, jitter: 0},
+      progress = this.$reconnect = {attempt: 0},
+      _self = this;
+
+    (function attempt(lastErr) {
+      if (progress.attempt >= policy.attempts) {
+        _self.$reconnect = null;
+        _self.emit("reconnect_failed", lastErr);
+        failQueue.call(_self, "Connection lost, reconnecting failed after "
+          + progress.attempt + " attempt(s): " + (lastErr.message || lastErr));
+        return;
+      }
+
+      var delay = Math.min(policy.maxDelay || Infinity,
+        policy.delay * Math.pow(policy.factor || 1, progress.attempt));
+      delay = Math.round(delay * (1 - (policy.jitter || 0) * Math.random()));
+
+      progress.attempt++;
+      _self.emit("reconnecting", {attempt: progress.attempt, delay: delay});
+      progress.timer = setTimeout(function() {
+        _self.connect(function(err) {
+          if (_self.$reconnect !== progress)
+            return;
+          if (err)
+            return attempt(err);
+
+          _self.$reconnect = null;
+          _self.$lost = false;
+          restoreCwd.call(_self, "Connection lost", function() {
+            _self.emit("reconnect", {attempts: progress.attempt});
+          });
+        });
+      }, delay);
+    })();
+  }
+
+  /**
+   * Change back to the working directory of the previous connection, before
+   * the queued commands run. The queued commands fail when that is not
+   * possible.
+   *
+   * @param {String}   reason   what happened to the previous connection, for the error message
+   * @param {Function} callback invoked once the working directory was restored, or restoring it failed
+   * @type  {void}
+   * @private
+   */
+  function restoreCwd(reason, callback) {
+    var cwd = this.$cwd,
+      _self = this;
+
+    if (!cwd)
+      return callback();
+
+    var cmd = "cd " + quote(cwd);
+    this.queue.unshift(["cd", cmd, function(lines) {
+      var err = isError(lines, cmd, cwd);
+      if (err) {
+        _self.$cwd = null;
+        failQueue.call(_self, reason + ", restoring the working directory failed: " + err.message);
+      }
+      callback();
+    }, K]);
+  }
+
+  /**
+   * Close the session right away, without saying goodbye to the server.
+   *
+   * @param {Number} [code] exit code of the sftp process
+   * @type  {void}
+   * @private
+   */
+  function terminate(code) {
+    var socket = this.socket;
+
+    clearTimeout(this.$cmdTimer);
+    clearTimeout(this.$idleTimer);
+    this.state = Sftp.STATE_DISCONNECTED;
+    // the end of the process is not reported again
+    this.socket = null;
+    this.child && this.child.kill && this.child.kill();
+    this.child = null;
+    socket && socket.destroy();
+    this.emit("disconnect", code);
+  }
+
+  /**
+   * (Re)start the inactivity timer of the active command, it is restarted
+   * whenever the command produces output.
+   *
+   * @type  {void}
+   * @private
+   */
+  function watchCommand() {
+    var _self = this;
+
+    clearTimeout(this.$cmdTimer);
+    if (this.activeCmd && this.$activeTimeout) {
+      this.$cmdTimer = setTimeout(function() {
+        commandTimedOut.call(_self);
+      }, this.$activeTimeout);
+    }
+  }
+
+  /**
+   * The active command did not produce any output within its timeout. The
+   * session is considered stuck and closed, the command and all commands
+   * queued behind it fail with ETIMEDOUT. The next command connects again.
+   *
+   * @type  {void}
+   * @private
+   */
+  function commandTimedOut() {
+    var type = this.activeCmd,
+      cmd = this.$activeCmdLine,
+      cb = this.callbacks[type];
+
+    delete this.callbacks[type];
+    delete this.callbacks[type + "_progress"];
+    this.activeCmd = null;
+    this.activeCmdBuffer = "";
+    // reconnect in the same working directory
+    this.$lost = true;
+    terminate.call(this);
+
+    failQueue.call(this, "Connection timed out while waiting for '" + cmd + "'");
+    // bye is done anyway
+    cb && cb(type == "bye" ? [] : ["Connection timed out, no reply to '" + cmd + "' within " + this.$activeTimeout + "ms"]);
+  }
+
+  /**
+   * Close the session after options.idleTimeout without any commands, once
+   * no command is running or queued.
+   *
+   * @type  {void}
+   * @private
+   */
+  function watchIdle() {
+    var _self = this;
+
+    clearTimeout(this.$idleTimer);
+    if (!this.options.idleTimeout)
+      return;
+    this.$idleTimer = setTimeout(function() {
+      if (_self.activeCmd || _self.queue.length || !(_self.state & Sftp.STATE_CONNECTED))
+        return;
+      _self.exec("bye", "bye", function() {
+        // the next command connects again, in the same working directory,
+        // without the events and delays of restoring a lost connection
+        _self.$idle = true;
+        terminate.call(_self);
+      });
+    }, this.options.idleTimeout);
+  }
+
+  /**
+   * Fail all queued commands, their callbacks are invoked with the given
+   * output line so that it is reported as an ECONNRESET error.
+   *
+   * @param {String} line
+   * @type  {void}
+   * @private
+   */
+  function failQueue(line) {
+    var queue = this.queue.splice(0, this.queue.length);
+    queue.forEach(function(item) {
+      item[2] && item[2]([line]);
+    });
+  }
+
+  /**
+   * Prepare an Sftp command to be sent to the remote host
+   *
+   * @param {String}   type
    * @param {String}   cmd
    * @param {Function} cbexec
    * @param {Function} cbprogress
+   * @param {Object}   [options]
+   * @param {Number}   [options.timeout] overrides options.timeout of the connection for this command
+   * @param {Object}   [options.signal]  AbortSignal to cancel the command, which then fails with ABORT_ERR
+   * @param {String}   [options.until]   line of cmd after which the command is done, instead of after the
+   *                                     prompt of its last line. Meant for a comment line that sftp ignores,
+   *                                     which is not mistaken for output like a prompt could be
    * @type  {void}
    */
-  this.exec = function(type, cmd, cbexec, cbprogress) {
-    var conn = this.state & Sftp.STATE_CONNECTED;
+  this.exec = function(type, cmd, cbexec, cbprogress, options) {
+    var conn = this.state & Sftp.STATE_CONNECTED,
+      _self = this;
+
+    if (options && options.signal) {
+      if (options.signal.aborted)
+        return cbexec && cbexec([ABORTED]);
+      cbexec = abortable.call(this, options.signal, cbexec);
+      // replaying the queued command does not listen again
+      options = {timeout: options.timeout, until: options.until};
+    }
+
     if (this.activeCmd || !conn) {
-      if (!conn)
-        this.connect();
-      return this.queue.push([type, cmd, cbexec, cbprogress]);
+      this.queue.push([type, cmd, cbexec, cbprogress, options]);
+      if (this.$lost) {
+        reconnect.call(this);
+      }
+      else if (this.state & Sftp.STATE_DISCONNECTED) {
+        this.connect(function(err) {
+          if (err)
+            return failQueue.call(_self, "Connection closed: " + (err.message || err));
+          if (_self.$idle)
+            restoreCwd.call(_self, "Connection closed after being idle", K);
+          _self.$idle = false;
+        });
+      }
+      return this.queue.length;
     }
 
-    send.call(this, type, cmd, cbexec, cbprogress || K);
+    send.call(this, type, cmd, cbexec, cbprogress || K, options);
   };
 
+  /**
+   * Wrap the callback of a command, so that the command is cancelled when the
+   * signal is aborted. A queued command is removed from the queue, while the
+   * running command is interrupted like with Ctrl-C. As the interrupt may
+   * arrive after the command already finished and thus print a prompt of its
+   * own, a comment line that sftp ignores is sent along. The command fails
+   * once the prompt that follows the echo of the comment shows up, which keeps
+   * the session in sync for the next command.
+   *
+   * @param {Object}   signal AbortSignal
+   * @param {Function} cbexec
+   * @type  {Function}
+   * @private
+   */
+  function abortable(signal, cbexec) {
+    var _self = this;
+
+    function done(lines) {
+      signal.removeEventListener("abort", onAbort);
+      cbexec && cbexec(lines);
+    }
+
+    function onAbort() {
+      var index = -1;
+      _self.queue.some(function(item, i) {
+        if (item[2] === done)
+          index = i;
+        return index > -1;
+      });
+      if (index > -1) {
+        _self.queue.splice(index, 1);
+        return done([ABORTED]);
+      }
+
+      var type = _self.activeCmd;
+      if (!type || _self.callbacks[type] !== done)
+        return;
+
+      var marker = "#abort " + Util.uuid(),
+        seen = false;
+
+      function resync(lines, output) {
+        // the connection failed meanwhile
+        if (output == null)
+          return done([ABORTED]);
+
+        var at = output.indexOf(marker);
+        if (at > -1) {
+          seen = true;
+          output = output.slice(at + marker.length);
+        }
+        if (seen && output.indexOf("sftp>") > -1)
+          return done([ABORTED]);
+
+        // a prompt of the command or of the interrupt, keep waiting
+        _self.activeCmd = type;
+        _self.callbacks[type] = resync;
+        _self.callbacks[type + "_progress"] = K;
+        watchCommand.call(_self);
+      }
+      // replaying the command after a lost connection would run it again
+      resync.aborted = true;
+
+      _self.callbacks[type] = resync;
+      // keeps the output buffered until the prompt
+      _self.callbacks[type + "_progress"] = K;
+      // pipelined commands that did not run yet are discarded with the interrupt
+      _self.$activePrompts = 1;
+      _self.$activeUntil = null;
+      _self.socket.write("\x03");
+      _self.socket.write(new Buffer(marker + "\r\n"));
+    }
+
+    signal.addEventListener("abort", onAbort);
+    return done;
+  }
+
+  /**
+   * AbortController to cancel a command from within, with the part of its
+   * interface that abortable() uses where Node does not provide one.
+   *
+   * @type  {AbortController}
+   * @private
+   */
+  function abortController() {
+    if (typeof AbortController == "function")
+      return new AbortController();
+
+    var listeners = [],
+      signal = {
+        aborted: false,
+        addEventListener: function(type, listener) {
+          listeners.push(listener);
+        },
+        removeEventListener: function(type, listener) {
+          listeners = listeners.filter(function(l) {
+            return l !== listener;
+          });
+        }
+      };
+
+    return {
+      signal: signal,
+      abort: function() {
+        if (signal.aborted)
+          return;
+        signal.aborted = true;
+        listeners.slice().forEach(function(listener) {
+          listener();
+        });
+      }
+    };
+  }
+
+  /**
+   * Whether the AbortSignal in the options of a method was aborted.
+   *
+   * @param {Object} [options]
+   * @type  {Boolean}
+   * @private
+   */
+  function aborted(options) {
+    return !!(options && options.signal && options.signal.aborted);
+  }
+
+  /**
+   * @param {String} [path]
+   * @type  {SftpError}
+   * @private
+   */
+  function abortError(path) {
+    return new SftpError(ABORTED, "ABORT_ERR", null, path, [ABORTED]);
+  }
+
   /**
    * Send an Sftp command to the remote host, i.e. write it to the CLI stream
    *
@@ -889,11 +3288,21 @@ require("util").inherits(Sftp, Events.EventEmitter);
    * @param {String}   cmd
    * @param {Function} cbsend
    * @param {Function} cbprogress
+   * @param {Object}   [options] {timeout, until}
    * @type  {void}
    * @private
    */
-  function send(type, cmd, cbsend, cbprogress) {
+  function send(type, cmd, cbsend, cbprogress, options) {
+    var timeout = options && options.timeout;
     this.activeCmd = type;
+    this.$activeCmdLine = cmd;
+    this.$activeOptions = options;
+    this.$activeTimeout = timeout != null ? timeout : this.options.timeout;
+    // every line is a command of its own, which sftp answers with a prompt
+    this.$activePrompts = cmd.split("\n").length;
+    this.$activeUntil = options && options.until || null;
+    clearTimeout(this.$idleTimer);
+    watchCommand.call(this);
     this.activeCmdBuffer = "";
     if (cbprogress && cbsend) {
       this.callbacks[type] = cbsend;
@@ -918,6 +3327,42 @@ require("util").inherits(Sftp, Events.EventEmitter);
 
     // connection related messages
     if (this.state & Sftp.STATE_CONNECTING) {
+      this.$connectBuffer += data;
+
+      if (data.indexOf('Host key verification failed') !== -1) {
+        var key = presentedHostKey.call(this, this.$connectBuffer),
+          err = new SftpError("Host key verification failed"
+            + (key.hop !== undefined ? " for jump host " + key.host : "")
+            + (key.fingerprint ? " for " + (key.type ? key.type + " " : "") + "key " + key.fingerprint : ""),
+            "EHOSTKEY", null, null, this.$connectBuffer.split(/[\n\r]+/));
+        err.host = key.host;
+        err.hop = key.hop;
+        err.fingerprint = key.fingerprint;
+        err.keyType = key.type;
+        this.callbacks["connect"](err);
+        delete this.callbacks["connect"];
+        return;
+      }
+
+      if (/Enter passphrase for|Bad passphrase/.test(data)) {
+        this.callbacks["passphrase_prompt"]();
+        return;
+      }
+
+      if (data.indexOf('Are you sure you want to continue connecting') !== -1) {
+        this.callbacks["hostkey_prompt"](presentedHostKey.call(this, this.$connectBuffer));
+        return;
+      }
+
+      // the target host reports the connection as closed when a jump host
+      // failed, so these are checked first
+      var hopErr = this.options.jumpHosts.length && jumpHostError.call(this, this.$connectBuffer);
+      if (hopErr) {
+        this.callbacks["connect"](hopErr);
+        delete this.callbacks["connect"];
+        return;
+      }
+
       if (data.indexOf('Operation timed out') !== -1) {
         this.callbacks["connect"](new Error('Operation timed out'));
         delete this.callbacks["connect"];
@@ -946,17 +3391,26 @@ require("util").inherits(Sftp, Events.EventEmitter);
         delete this.callbacks["connect"];
         return;
       }
+
+      var prompt = authPrompt.call(this, data);
+      if (prompt) {
+        this.callbacks["password_prompt"](prompt.text, prompt.isPassword);
+        return;
+      }
     }
 
 
     // CASE: timeout from inactivity
-    if (data.indexOf('closed by remote host') !== -1) {
-      this.state = Sftp.STATE_DISCONNECTED;
+    if (this.state & Sftp.STATE_CONNECTED
+      && (data.indexOf('closed by remote host') !== -1 || /^Connection closed/m.test(data))) {
+      connectionLost.call(this);
       return;
     }
 
     if (!this.activeCmd && !(this.state & Sftp.STATE_CONNECTING))
       return;
+    // the command is still alive
+    watchCommand.call(this);
 
     var cbdone, cbprogress;
     if (data.indexOf("sftp>") > -1 || (this.activeCmd == "bye" && data.indexOf("bye") > -1)) {
@@ -964,51 +3418,129 @@ require("util").inherits(Sftp, Events.EventEmitter);
         this.callbacks["connect"]();
         delete this.callbacks["connect"];
       }
+      // pipelined commands are done with the prompt after the last one, or
+      // after the echo of the line they are meant to run until
+      else if (this.activeCmd && (this.$activeUntil
+        ? !reached(this.activeCmdBuffer + data, this.$activeUntil)
+        : this.$activePrompts > 1 && (this.$activePrompts -= data.split("sftp>").length - 1) > 0)) {
+        this.activeCmdBuffer += data;
+      }
       // check if a command has finished executing:
       else if (cbdone = this.callbacks[this.activeCmd]) {
         delete this.callbacks[this.activeCmd];
         delete this.callbacks[this.activeCmd + "_progress"];
         this.activeCmd = null;
-        cbdone((this.activeCmdBuffer + data).split(/[\n\r]+/).filter(function(line) {
-          return line.indexOf("sftp>") === -1;
-        }));
+        clearTimeout(this.$cmdTimer);
+        var output = this.activeCmdBuffer + data;
         this.activeCmdBuffer = "";
+        cbdone(output.split(/[\n\r]+/).filter(function(line) {
+          return line.indexOf("sftp>") === -1;
+        }), output);
       }
       if (!this.activeCmd && this.queue.length && this.state & Sftp.STATE_CONNECTED)
         this.exec.apply(this, this.queue.shift());
+      else if (!this.activeCmd && this.state & Sftp.STATE_CONNECTED)
+        watchIdle.call(this);
     }
     else if (cbprogress = this.callbacks[this.activeCmd + "_progress"]) {
       this.activeCmdBuffer += data;
       cbprogress(data);
-    } else {
-      // @TODO Do more checking here to determine if it's time to enter the password'
-      var password_prompt = this.options.password_prompt;
-      if (data.indexOf(password_prompt) >= 0) {
-        if (this.state & Sftp.STATE_CONNECTING) {
-          this.callbacks['password_prompt'].call();
-        }
-      }
     }
   }
 
   /**
-   * Detect an error reply from a collection of output lines.
+   * Whether the output of a command contains the echo of a line and the
+   * prompt after it.
    *
-   * @param {Array} lines
+   * @param {String} output
+   * @param {String} line
+   * @type  {Boolean}
    * @private
    */
-  function isError(lines) {
-    var err = null;
+  function reached(output, line) {
+    var at = output.indexOf(line);
+    return at > -1 && output.indexOf("sftp>", at + line.length) > -1;
+  }
 
-    lines.forEach(function(line) {
-      if (line.indexOf("No such file or directory") > -1) {
-        err = new Error(line);
-      }
-    });
+  /**
+   * Detect a password or keyboard-interactive prompt in the output of ssh
+   * while connecting. A prompt is the last line of the output and is not
+   * followed by a line break.
+   *
+   * @param {String} data
+   * @type  {Object} {text, isPassword} or null if the output is not a prompt
+   * @private
+   */
+  function authPrompt(data) {
+    var o = this.options,
+      text = data.split(/[\r\n]+/).pop(),
+      isPassword;
 
-    return err;
+    if (!text || text.indexOf("sftp>") > -1)
+      return null;
+
+    isPassword = o.password_prompt instanceof RegExp
+      ? o.password_prompt.test(text)
+      : !!o.password_prompt && text.indexOf(o.password_prompt) > -1;
+
+    if ((isPassword && o.password != null) || (o.keyboardInteractive && /:\s*$/.test(text)))
+      return {text: text.trim(), isPassword: isPassword};
+    return null;
+  }
+
+  /**
+   * Quote an argument for the command line of sftp, which splits arguments at
+   * whitespace, takes '#' for the start of a comment and treats most paths as
+   * glob patterns.
+   * Every character that has a meaning of its own is escaped with a backslash,
+   * sftp removes one level of escaping again for the paths it does not glob.
+   * A path that starts with a dash is prefixed with './' to not be taken for an
+   * option. With glob, the wildcards '*', '?' and '[' as well as backslashes
+   * are passed as is, to be expanded by sftp.
+   * Example: 'my *.csv' --> 'my\ \*.csv'
+   *
+   * @param {String}  arg
+   * @param {Boolean} [glob=false]
+   * @type  {String}
+   * @private
+   */
+  function quote(arg, glob) {
+    arg = String(arg);
+    if (arg.charAt(0) == "-")
+      arg = "./" + arg;
+    return arg.replace(glob ? /[\s"'#]/g : /[\s"'#\\*?[]/g, "\\$&");
+  }
+
+  /**
+   * Detect an error reply from a collection of output lines.
+   *
+   * @param {Array}  lines
+   * @param {String} [cmd]  the command line that was sent
+   * @param {String} [path] the remote path the command operated on
+   * @type  {SftpError}
+   * @private
+   */
+  function isError(lines, cmd, path) {
+    return SftpError.fromLines(lines, cmd, path);
   }
 
+  // every public method returns a Promise when it is called without a callback
+  ["cd", "chmod", "chown", "symlink", "mkdir", "mkdirp", "pwd", "readdir",
+   "readFile", "rename", "rmdir", "stat", "unlink", "writeFile", "uploadFile",
+   "downloadFile", "uploadDir", "downloadDir", "rmrf", "syncPlan",
+   "sync", "batch", "glob", "disconnect"
+  ].forEach(function(name) {
+    this[name] = Util.promisify(this[name]);
+  }, this);
+  this.fstat = this.lstat = this.stat;
+  this.fastPut = this.uploadFile;
+  this.fastGet = this.downloadFile;
+
 }).call(Sftp.prototype);
 
 module.exports = Sftp;
+
+/**
+ * @see SftpPool
+ */
+Sftp.SftpPool = require("./pool");
@@ -11,24 +11,118 @@ var fs = require("fs");
 var Util = require("./util");
 
 
-exports.buildArgs = function(prvkeyFile, host) {
-  var args = [
-    "-o", "PasswordAuthentication=no",
-    "-o", "IdentityFile=" + prvkeyFile,
-    "-o", "UserKnownHostsFile=/dev/null",
-    "-o", "StrictHostKeyChecking=no",
+/**
+ * Build the ssh options to connect with. Without password or
+ * keyboard-interactive authentication, ssh never prompts for anything.
+ * Host keys are checked against ~/.ssh/known_hosts, unless other known hosts
+ * or a verifier are given, or any host key is accepted on purpose.
+ *
+ * @param {String} [prvkeyFile]                  path to the private key file
+ * @param {String} [host]
+ * @param {Object} [options]                     connection options of Sftp
+ * @param {String} [options.password]
+ * @param {Function} [options.keyboardInteractive]
+ * @param {String} [options.knownHosts]          path to a known_hosts file
+ * @param {String} [options.hostFingerprint]
+ * @param {Function} [options.hostVerifier]
+ * @param {Boolean} [options.acceptAnyHostKey]   skip the host key check
+ * @param {String} [options.passphrase]
+ * @param {String,Boolean} [options.agent]
+ * @param {Boolean} [options.agentForward]
+ * @type  {Array}
+ */
+exports.buildArgs = function(prvkeyFile, host, options) {
+  options = options || {};
+
+  var interactive = options.password != null || !!options.keyboardInteractive,
+    // unknown host keys are prompted for, so they can be verified
+    verify = !!(options.hostFingerprint || options.hostVerifier),
+    passphrase = options.passphrase != null,
+    args = [];
+
+  if (!interactive)
+    args.push("-o", "PasswordAuthentication=no");
+  if (prvkeyFile)
+    args.push("-o", "IdentityFile=" + prvkeyFile);
+
+  if (options.knownHosts || verify) {
+    args.push(
+      "-o", "UserKnownHostsFile=" + (options.knownHosts || "/dev/null"),
+      "-o", "StrictHostKeyChecking=" + (verify ? "ask" : "yes"),
+      "-o", "FingerprintHash=sha256"
+    );
+  }
+  else if (options.acceptAnyHostKey) {
+    args.push(
+      "-o", "UserKnownHostsFile=/dev/null",
+      "-o", "StrictHostKeyChecking=no"
+    );
+  }
+
+  args.push(
     // force pseudo terminal to make sure that the remote process is killed
     // when the local ssh process is killed
-    "-t", "-t",
-    "-o", "IdentitiesOnly=yes", // this breaks some ssh servers
-    "-o", "BatchMode=yes"
-  ];
+    "-t", "-t"
+  );
+
+  // the agent may hold other keys than the one in the IdentityFile
+  if (prvkeyFile && !options.agent)
+    args.push("-o", "IdentitiesOnly=yes"); // this breaks some ssh servers
+  if (options.agentForward)
+    args.push("-o", "ForwardAgent=yes");
+
+  if (interactive) {
+    args.push("-o", "PreferredAuthentications=" + (prvkeyFile ? "publickey," : "") + "keyboard-interactive,password");
+  }
+  else if (verify || passphrase) {
+    // BatchMode would suppress the host key and passphrase prompts
+    args.push("-o", "KbdInteractiveAuthentication=no");
+  }
+  else {
+    args.push("-o", "BatchMode=yes");
+  }
+
+  // a wrong password fails right away instead of prompting again, while a
+  // wrong passphrase is asked for once more, which tells it apart from a key
+  // that the server does not accept
+  if (interactive || passphrase)
+    args.push("-o", "NumberOfPasswordPrompts=" + (passphrase ? 2 : 1));
 
   if (host) args.push(host);
   return args;
 };
 
 
+/**
+ * Build the environment to spawn ssh with, which points ssh to the agent
+ * socket when an agent is used.
+ *
+ * @param {Object}         options
+ * @param {String,Boolean} [options.agent] socket path, or true to use SSH_AUTH_SOCK
+ * @type  {Object}
+ */
+exports.buildEnv = function(options) {
+  var env = Util.extend({}, process.env);
+  if (options.agent && options.agent !== true)
+    env.SSH_AUTH_SOCK = options.agent;
+  return env;
+};
+
+
+/**
+ * Tell a plaintext private key apart from the path of a private key file.
+ * Recognizes all PEM formats ssh accepts: OpenSSH, PKCS#1 (RSA, DSA), SEC1 (EC)
+ * and PKCS#8, encrypted or not.
+ *
+ * @param {String} prvkey
+ * @type  {Boolean}
+ */
+exports.isInlineKey = function(prvkey) {
+  return typeof prvkey == "string"
+    && /-----BEGIN ([A-Z0-9]+ )*PRIVATE KEY-----/.test(prvkey);
+};
+
+
 exports.writeKeyFile = function(prvkey, callback) {
   var filename = Util.DEFAULT_TMPDIR + "/" + Util.uuid();
 
@@ -40,4 +134,101 @@ exports.writeKeyFile = function(prvkey, callback) {
       callback(err, filename);
     });
   });
-};
\ No newline at end of file
+};
+
+
+/**
+ * Tell inline known_hosts entries apart from the path of a known_hosts file.
+ *
+ * @param {String,Array} knownHosts
+ * @type  {Boolean}
+ */
+exports.isKnownHostsEntries = function(knownHosts) {
+  if (Array.isArray(knownHosts))
+    return true;
+  return typeof knownHosts == "string"
+    && /^\S+\s+(ssh-|ecdsa-|sk-)\S+\s+\S+/m.test(knownHosts);
+};
+
+
+exports.writeKnownHostsFile = function(entries, callback) {
+  if (Array.isArray(entries))
+    entries = entries.join("\n");
+  exports.writeKeyFile(entries.replace(/\n*$/, "\n"), callback);
+};
+
+/**
+ * Write an inline private key and inline known_hosts entries of a host
+ * configuration to temporary files and point the configuration at them.
+ *
+ * @param {Object}   conf     host configuration, privateKey and knownHosts
+ *                            are replaced by the paths of the written files
+ * @param {Function} callback (err, files) with the temporary files written
+ * @type  {void}
+ */
+exports.writeCredentials = function(conf, callback) {
+  var files = [];
+
+  if (!exports.isInlineKey(conf.privateKey))
+    return afterKey();
+
+  exports.writeKeyFile(conf.privateKey, function(err, file) {
+    if (err)
+      return callback(err, files);
+    conf.privateKey = file;
+    files.push(file);
+    afterKey();
+  });
+
+  function afterKey() {
+    if (!exports.isKnownHostsEntries(conf.knownHosts))
+      return callback(null, files);
+
+    exports.writeKnownHostsFile(conf.knownHosts, function(err, file) {
+      if (!err) {
+        conf.knownHosts = file;
+        files.push(file);
+      }
+      callback(err, files);
+    });
+  }
+};
+
+
+/**
+ * Build the ProxyCommand that tunnels the connection through a chain of jump
+ * hosts. Every hop is reached with its own `ssh -W`, which in turn is
+ * tunneled through the hops before it, so that each hop is authenticated
+ * with its own private key and known_hosts settings.
+ * ssh expands '%' tokens once per level of nesting, so they are escaped
+ * accordingly.
+ *
+ * @param {Array} jumpHosts [{host, port, username, privateKey, knownHosts,
+ *                          hostFingerprint, hostVerifier}], in the order
+ *                          they are connected to
+ * @type  {String}
+ */
+exports.buildProxyCommand = function(jumpHosts) {
+  return jumpHosts.reduce(function(proxy, hop) {
+    var args = ["-o", "Port=" + (hop.port || 22)];
+    if (proxy)
+      args.push("-o", "ProxyCommand=" + proxy);
+
+    args = args.concat(exports.buildArgs(hop.privateKey, null, hop))
+      .filter(function(arg) {
+        // the hop only forwards the connection, it has no terminal
+        return arg !== "-t";
+      });
+    args.push((hop.username ? hop.username + "@" : "") + hop.host);
+
+    return "ssh -W %h:%p " + args.map(function(arg) {
+      return shellQuote(arg.replace(/%/g, "%%"));
+    }).join(" ");
+  }, null);
+};
+
+function shellQuote(arg) {
+  if (/^[\w@%+=:,.\/-]+$/.test(arg))
+    return arg;
+  return "'" + arg.replace(/'/g, "'\\''") + "'";
+}
@@ -6,6 +6,7 @@
  */
 
 var Fs = require("fs");
+var Path = require("path");
 
 /**
  * Generate a random uuid. Usage: Math.uuid(length, radix)
@@ -106,3 +107,166 @@ exports.extend = function(dest, src) {
   }
   return dest;
 };
+
+/**
+ * Wraps a callback-style function so that it returns a Promise when it is
+ * invoked without a callback. The callback is expected to be the last declared
+ * parameter of fn; missing optional arguments are padded with undefined.
+ *
+ * @param {Function} fn    function that takes a node-style callback
+ * @param {Number}   [len] number of declared parameters, defaults to fn.length
+ * @type  {Function}
+ */
+exports.promisify = function(fn, len) {
+  len = len || fn.length;
+
+  return function() {
+    var args = Array.prototype.slice.call(arguments),
+      _self = this;
+
+    if (typeof args[args.length - 1] == "function")
+      return fn.apply(this, args);
+
+    return new Promise(function(resolve, reject) {
+      while (args.length < len - 1)
+        args.push(undefined);
+      args.push(function(err, result) {
+        if (err)
+          return reject(typeof err == "string" ? new Error(err) : err);
+        resolve(result);
+      });
+      fn.apply(_self, args);
+    });
+  };
+};
+
+/**
+ * Invoke an asynchronous iterator for every item, with at most `limit`
+ * invocations running at the same time. The callback is invoked with the
+ * first error, or without arguments once all items have been processed.
+ *
+ * @param {Array}    items
+ * @param {Number}   limit
+ * @param {Function} iterator iterator(item, next)
+ * @param {Function} callback
+ * @type  {void}
+ */
+exports.eachLimit = function(items, limit, iterator, callback) {
+  var i = 0,
+    running = 0,
+    filling = false,
+    finished = false;
+
+  if (!items.length)
+    return callback();
+
+  function fill() {
+    // an iterator that is done right away is picked up by the loop below,
+    // instead of growing the stack with every item
+    if (filling)
+      return;
+    filling = true;
+    while (!finished && running < limit && i < items.length) {
+      running++;
+      iterator(items[i++], next);
+    }
+    filling = false;
+  }
+
+  function next(err) {
+    running--;
+    if (finished)
+      return;
+    if (err || (i === items.length && !running)) {
+      finished = true;
+      return callback(err);
+    }
+    fill();
+  }
+
+  fill();
+};
+
+/**
+ * Calculate the hex digest of the contents of a local file.
+ *
+ * @param {String}   path
+ * @param {String}   [algorithm="sha256"] any algorithm supported by crypto.createHash
+ * @param {Function} callback             gets (err, digest)
+ * @type  {void}
+ */
+exports.hashFile = function(path, algorithm, callback) {
+  if (typeof algorithm == "function") {
+    callback = algorithm;
+    algorithm = null;
+  }
+
+  var hash = require("crypto").createHash(algorithm || "sha256"),
+    stream = Fs.createReadStream(path);
+
+  stream.on("error", callback);
+  stream.on("data", function(data) {
+    hash.update(data);
+  });
+  stream.on("end", function() {
+    callback(null, hash.digest("hex"));
+  });
+};
+
+/**
+ * Create a local directory and the directories above it that are missing,
+ * like 'mkdir -p'. A directory that exists already is not an error.
+ *
+ * @param {String}   path
+ * @param {Function} callback gets (err)
+ * @type  {void}
+ */
+exports.mkdirp = function(path, callback) {
+  Fs.mkdir(path, function(err) {
+    if (!err)
+      return callback(null);
+    if (err.code == "ENOENT" && Path.dirname(path) != path) {
+      return exports.mkdirp(Path.dirname(path), function(err) {
+        if (err) return callback(err);
+        // created meanwhile by a parallel call? that's fine
+        Fs.mkdir(path, function(err) {
+          callback(err && err.code != "EEXIST" ? err : null);
+        });
+      });
+    }
+    if (err.code != "EEXIST")
+      return callback(err);
+
+    Fs.stat(path, function(statErr, stat) {
+      callback(statErr || !stat.isDirectory() ? err : null);
+    });
+  });
+};
+
+/**
+ * Remove a local file or directory with all its contents, like 'rm -rf'. A
+ * path that does not exist is not an error.
+ *
+ * @param {String}   path
+ * @param {Function} callback gets (err)
+ * @type  {void}
+ */
+exports.rmrf = function(path, callback) {
+  Fs.lstat(path, function(err, stat) {
+    if (err)
+      return callback(err.code == "ENOENT" ? null : err);
+    if (!stat.isDirectory())
+      return Fs.unlink(path, callback);
+
+    Fs.readdir(path, function(err, names) {
+      if (err) return callback(err);
+
+      exports.eachLimit(names, 1, function(name, next) {
+        exports.rmrf(path + "/" + name, next);
+      }, function(err) {
+        if (err) return callback(err);
+        Fs.rmdir(path, callback);
+      });
+    });
+  });
+};
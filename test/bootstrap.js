@@ -14,9 +14,82 @@ exports.fs = require('fs');
 exports.path = require('path');
 exports.Sftp = require(__dirname + '/../lib/sftp');
 exports.SSH = require(__dirname + '/../lib/ssh');
+exports.Listing = require(__dirname + '/../lib/listing');
+exports.Util = require(__dirname + '/../lib/util');
 exports.privateKey = process.env.NODE_SFTP_PRIVATEKEY;
 exports.username = process.env.NODE_SFTP_USERNAME;
 exports.host = process.env.NODE_SFTP_HOST;
 exports.port = process.env.NODE_SFTP_PORT;
 
+/**
+ * Stubs pty.spawn with a fake sftp process, which echoes every command and
+ * answers with the first reply whose key is a prefix of the command, followed
+ * by the prompt, unless the reply ends with a prompt of its own like
+ * 'Password: '. A reply can also be a function that gets the command, an
+ * array of chunks that are emitted one after another, or false for a command
+ * that never finishes. The greeting is emitted right after spawning, it
+ * defaults to the prompt of an established session.
+ */
+exports.mockPty = function(replies, greeting) {
+  var pty = require('pty.js'),
+    EventEmitter = require('events').EventEmitter,
+    mock = {written: [], replies: replies || {}};
+
+  if (!mock.replies.help)
+    mock.replies.help = 'Available commands:\r\nls [-1afhlnrSt] [path]            Display remote directory listing\r\n';
+
+  sinon.stub(pty, 'spawn', function(file, args, options) {
+    var ps = mock.ps = new EventEmitter(),
+      output = [],
+      busy = false;
+    mock.args = args;
+    mock.options = options;
+
+    ps.write = function(buf) {
+      // pipelined commands are answered one after the other
+      buf.toString().replace(/[\r\n]+$/, '').split(/\r?\n/).forEach(function(cmd) {
+        var reply = '';
+
+        mock.written.push(cmd);
+        Object.keys(mock.replies).some(function(key) {
+          if (cmd.indexOf(key) !== 0)
+            return false;
+          reply = mock.replies[key];
+          if (typeof reply == 'function')
+            reply = reply(cmd);
+          return true;
+        });
+
+        var chunks = [cmd + '\r\n'].concat(reply).filter(Boolean);
+        if (reply !== false && !/: $/.test(chunks[chunks.length - 1]))
+          chunks.push('sftp> ');
+        // like a real process, input is handled in the order it was written
+        output.push.apply(output, chunks);
+      });
+
+      if (!busy)
+        (function next() {
+          busy = true;
+          setTimeout(function() {
+            var chunk = output.shift(),
+              more = busy = !!output.length;
+            ps.emit('data', chunk);
+            more && next();
+          }, 5);
+        })();
+    };
+    ps.resume = ps.destroy = function() {};
+
+    setTimeout(function() {
+      ps.emit('data', greeting || 'Connected to host.\r\nsftp> ');
+    }, 5);
+    return ps;
+  });
+
+  mock.restore = function() {
+    pty.spawn.restore();
+  };
+  return mock;
+};
+
 console.log(tnv.username);
\ No newline at end of file